@@ -0,0 +1,28 @@
+// Shared helpers for the command-line tools in this directory
+
+// Parse "--flag value" and "--flag" style arguments
+function parseArgs(argv) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args[name] = true;
+      } else {
+        args[name] = next;
+        i++;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+
+  return args;
+}
+
+module.exports = {
+  parseArgs,
+};
@@ -1,17 +1,115 @@
 require('dotenv').config();
-const { REST, Routes, SlashCommandBuilder } = require('discord.js');
+const { REST, Routes, SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { REQUEST_STATUSES } = require('../server/status');
 const { CLIENT_ID, GUILD_ID } = process.env;
 
+// Who sees the commands until server admins change it under Server Settings > Integrations.
+// /history, /myqueue, /unclaim, /export, /viewkey and /block also check REVIEWER_ROLE_IDS, KEY_VIEWER_ROLE_IDS
+// and IP_RULE_ROLE_IDS when they run.
+const ADMIN_PERMISSIONS = PermissionFlagsBits.ManageGuild;
+const STAFF_PERMISSIONS = PermissionFlagsBits.ManageMessages;
+
 const commands = [
   new SlashCommandBuilder()
     .setName('viewkey')
-    .setDescription('View the redeem key for a specific request (Admin only)')
+    .setDescription('View the redeem key for a specific request')
+    .setDefaultMemberPermissions(ADMIN_PERMISSIONS)
+    .addIntegerOption(option =>
+      option.setName('id')
+        .setDescription('The request ID')
+        .setRequired(true)
+    )
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Show who changed the status of a request and why')
+    .setDefaultMemberPermissions(STAFF_PERMISSIONS)
     .addIntegerOption(option =>
       option.setName('id')
         .setDescription('The request ID')
         .setRequired(true)
     )
     .toJSON(),
+  new SlashCommandBuilder()
+    .setName('myqueue')
+    .setDescription('List the open requests you have claimed')
+    .setDefaultMemberPermissions(STAFF_PERMISSIONS)
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('unclaim')
+    .setDescription('Release your claim on a request')
+    .setDefaultMemberPermissions(STAFF_PERMISSIONS)
+    .addIntegerOption(option =>
+      option.setName('id')
+        .setDescription('The request ID')
+        .setRequired(true)
+    )
+    .addBooleanOption(option =>
+      option.setName('force')
+        .setDescription("Release someone else's claim")
+        .setRequired(false)
+    )
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('export')
+    .setDescription('Export redeem requests as a CSV or JSON file')
+    .setDefaultMemberPermissions(ADMIN_PERMISSIONS)
+    .addStringOption(option =>
+      option.setName('format')
+        .setDescription('File format (default CSV)')
+        .setRequired(false)
+        .addChoices({ name: 'CSV', value: 'csv' }, { name: 'JSON', value: 'json' })
+    )
+    .addStringOption(option =>
+      option.setName('from')
+        .setDescription('Submitted on or after this date (YYYY-MM-DD)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('to')
+        .setDescription('Submitted on or before this date (YYYY-MM-DD)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('status')
+        .setDescription('Only requests with this status')
+        .setRequired(false)
+        .addChoices(...Object.keys(REQUEST_STATUSES).map(status => ({ name: status, value: status })))
+    )
+    .toJSON(),
+  new SlashCommandBuilder()
+    .setName('block')
+    .setDescription('Block IP addresses from submitting redeem requests')
+    .setDefaultMemberPermissions(ADMIN_PERMISSIONS)
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Block an IP address or CIDR range')
+        .addStringOption(option =>
+          option.setName('ip')
+            .setDescription('IP address or CIDR range, e.g. 203.0.113.7 or 203.0.113.0/24')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('reason')
+            .setDescription('Why the address is blocked')
+            .setRequired(false)
+            .setMaxLength(500)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Unblock an IP address or CIDR range')
+        .addStringOption(option =>
+          option.setName('ip')
+            .setDescription('The blocked IP address or CIDR range')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List blocked IP addresses and ranges')
+    )
+    .toJSON(),
 ];
 
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
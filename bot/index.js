@@ -1,6 +1,25 @@
 require('dotenv').config();
-const { Client, Events, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const {
+  Client, Events, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+  StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder
+} = require('discord.js');
 const database = require('../server/database');
+const { startNotifyServer } = require('./notify-server');
+const { canViewKeys, canReview, canManageIPRules } = require('./permissions');
+const { emitEvent, serializeRequest, startWebhookWorker } = require('../server/webhooks');
+const { REQUEST_STATUSES, getAllowedTransitions, checkTransition, isFinalStatus } = require('../server/status');
+const { getAssigneeKey, checkClaim } = require('../server/claims');
+const { shouldReleaseKey } = require('../server/keys');
+const { startExpiryWorker } = require('../server/expiry');
+const { buildRequestExport } = require('../server/reports');
+const { parseDateBound } = require('../server/search');
+const { REVEAL_RESULTS, revealKey } = require('../server/reveal');
+const { getThresholds: getFraudThresholds } = require('../server/scoring');
+const { normalizeCIDR } = require('../server/ip');
+const { IP_RULE_TYPES, IP_RULE_RESULTS, addIPRule, removeIPRule } = require('../server/ip-rules');
+
+// Initialize database
+const databaseReady = database.init().catch(console.error);
 
 // Create a new client instance
 const client = new Client({
@@ -11,19 +30,113 @@ const client = new Client({
   ],
 });
 
-// Store active message IDs for button interactions
-const activeMessages = new Map();
+// How many recent messages in the logs channel to scan when reconciling on startup
+const RECONCILE_SCAN_LIMIT = 500;
+
+// What to do with duplicate request messages found on startup: 'delete' or 'mark'
+const DUPLICATE_MESSAGE_ACTION = process.env.DUPLICATE_MESSAGE_ACTION || 'delete';
+
+// Push notifications from the server are enabled when a port and secret are configured
+const NOTIFY_PORT = parseInt(process.env.BOT_NOTIFY_PORT) || null;
+const NOTIFY_SECRET = process.env.BOT_NOTIFY_SECRET;
+const PUSH_ENABLED = !!(NOTIFY_PORT && NOTIFY_SECRET);
+
+// Polling is only a fallback when push notifications are enabled
+const POLL_INTERVAL_MS = parseInt(process.env.BOT_POLL_INTERVAL_MS) || (PUSH_ENABLED ? 5 * 60 * 1000 : 30000);
+
+// Preset rejection reasons offered when rejecting a request, separated by "|"
+const DEFAULT_REJECTION_REASONS = [
+  'This redeem key is not valid for this product.',
+  'The invite link is invalid or has expired.',
+  'We could not verify your purchase.',
+  'This request is a duplicate of an earlier request.',
+];
+const REJECTION_REASONS = (process.env.REJECTION_REASONS
+  ? process.env.REJECTION_REASONS.split('|').map(reason => reason.trim()).filter(Boolean)
+  : DEFAULT_REJECTION_REASONS
+).slice(0, 24); // Select menus hold 25 options, one is kept for "Other"
+
+// Ask for an optional note shown to the customer when approving
+const APPROVAL_NOTE_PROMPT = process.env.APPROVAL_NOTE_PROMPT === 'true';
+
+// Longest reason or note staff can enter (matches the API limit)
+const NOTE_MAX_LENGTH = 500;
+
+// Most audit log entries shown by /history
+const HISTORY_LIMIT = 20;
+
+// Labels for audit log entries that are not status changes
+const AUDIT_ACTION_LABELS = {
+  claimed: 'Claimed',
+  taken_over: 'Taken over',
+  unclaimed: 'Unclaimed',
+  key_released: 'Key released',
+  key_revealed: 'Key revealed',
+};
+
+// Most requests listed by /myqueue
+const QUEUE_LIMIT = 25;
+
+// Most blocked ranges listed by /block list
+const BLOCK_LIST_LIMIT = 25;
+
+// New requests waiting for staff, posted to the logs channel
+const REVIEW_STATUSES = ['PENDING', 'ON_HOLD'];
+
+// Requests currently being posted, so a push and a poll never post the same request twice
+const sendingRequests = new Set();
+
+// Embed color for each request status
+const STATUS_COLORS = {
+  PENDING: '#f39c12',
+  ON_HOLD: '#d35400',
+  APPROVED: '#27ae60',
+  IN_PROGRESS: '#3498db',
+  FULFILLED: '#16a085',
+  REJECTED: '#e74c3c',
+  REFUNDED: '#8e44ad',
+  EXPIRED: '#95a5a6',
+};
+
+// Buttons for moving a request to each status, keyed by target status
+const STATUS_BUTTONS = {
+  PENDING: { action: 'release', label: '▶️ Release Hold', style: ButtonStyle.Secondary },
+  APPROVED: { action: 'approve', label: '✅ Approve', style: ButtonStyle.Success },
+  IN_PROGRESS: { action: 'progress', label: '🛠️ Start', style: ButtonStyle.Primary },
+  FULFILLED: { action: 'fulfill', label: '📦 Fulfilled', style: ButtonStyle.Success },
+  REJECTED: { action: 'reject', label: '❌ Reject', style: ButtonStyle.Danger },
+  REFUNDED: { action: 'refund', label: '💸 Refund', style: ButtonStyle.Secondary },
+};
 
 // Function to format timestamp
 function formatTimestamp(timestamp) {
   return new Date(timestamp).toLocaleString();
 }
 
+// Server behind the invite link, as resolved when the request was submitted
+function describeInviteServer(request) {
+  if (!request.inviteVerifiedAt) return '⚠️ Not verified';
+
+  const members = request.inviteMemberCount !== null ? ` • ${request.inviteMemberCount.toLocaleString()} members` : '';
+  const expiresAt = request.inviteExpiresAt
+    ? `Expires <t:${Math.floor(new Date(`${request.inviteExpiresAt.replace(' ', 'T')}Z`).getTime() / 1000)}:R>`
+    : 'Never expires';
+
+  return `${request.inviteGuildName}${members}\n${expiresAt}`;
+}
+
+// Fraud score of a request and the signals behind it (see server/scoring.js)
+function describeFraudScore(request) {
+  const { hold, reject } = getFraudThresholds();
+  const level = request.fraudScore >= reject ? '🔴' : request.fraudScore >= hold ? '🟠' : request.fraudScore > 0 ? '🟡' : '🟢';
+  const reasons = request.fraudReasons ? `\n${request.fraudReasons.split('; ').map(reason => `• ${reason}`).join('\n')}` : '';
+  return `${level} ${request.fraudScore}/100${reasons}`.slice(0, 1024);
+}
+
 // Function to create request embed
 function createRequestEmbed(request) {
   const embed = new EmbedBuilder()
-    .setColor(request.status === 'PENDING' ? '#f39c12' : 
-              request.status === 'APPROVED' ? '#27ae60' : '#e74c3c')
+    .setColor(STATUS_COLORS[request.status] || '#e74c3c')
     .setTitle(`🔔 Redeem Request #${request.id}`)
     .addFields(
       { name: '👤 Client Name', value: request.name, inline: true },
@@ -31,6 +144,19 @@ function createRequestEmbed(request) {
       { name: '📧 Email', value: request.email, inline: false }
     );
 
+  // Show who submitted the request from Discord
+  if (request.discordUserId) {
+    embed.addFields({ name: '💬 Discord User', value: `<@${request.discordUserId}>`, inline: true });
+  }
+
+  // Show who is working on the request
+  if (request.assignedTo) {
+    const assignee = request.assignedTo.startsWith('discord:')
+      ? `<@${request.assignedTo.slice('discord:'.length)}>`
+      : request.assignedToName;
+    embed.addFields({ name: '🙋 Claimed by', value: assignee, inline: true });
+  }
+
   // Add Order ID if it exists
   if (request.orderId) {
     embed.addFields({ name: '🛒 Order ID', value: request.orderId, inline: true });
@@ -40,8 +166,21 @@ function createRequestEmbed(request) {
 
   embed.addFields(
     { name: '🔗 Invite Link', value: request.inviteLink, inline: false },
+    { name: '🏠 Server', value: describeInviteServer(request), inline: false },
     { name: '📊 Status', value: request.status, inline: true },
-    { name: '🕐 Timestamp', value: formatTimestamp(request.timestamp), inline: true },
+    { name: '🕐 Timestamp', value: formatTimestamp(request.timestamp), inline: true }
+  );
+
+  // Show the reason or note the customer sees with the status
+  if (request.staffNote) {
+    embed.addFields({
+      name: request.status === 'REJECTED' ? '📝 Rejection Reason' : '📝 Staff Note',
+      value: request.staffNote,
+      inline: false
+    });
+  }
+
+  embed.addFields(
     { name: '🔍 View Key', value: `Use \`/viewkey ${request.id}\` to see the actual key`, inline: false }
   );
 
@@ -49,32 +188,80 @@ function createRequestEmbed(request) {
     embed.addFields({ name: '🌐 IP Address', value: `\`${request.ipAddress}\``, inline: true });
   }
 
+  // Requests from before fraud scoring have no score
+  if (request.fraudScore !== null && request.fraudScore !== undefined) {
+    embed.addFields({ name: '🛡️ Fraud Score', value: describeFraudScore(request), inline: false });
+  }
+
   embed.setTimestamp()
        .setFooter({ text: 'Redeem Panel Bot • Use /viewkey <id> to view keys' });
 
   return embed;
 }
 
-// Function to create action buttons
-function createActionButtons(requestId) {
-  const row = new ActionRowBuilder()
-    .addComponents(
-      new ButtonBuilder()
-        .setCustomId(`approve_${requestId}`)
-        .setLabel('✅ Approve')
-        .setStyle(ButtonStyle.Success),
-      new ButtonBuilder()
-        .setCustomId(`reject_${requestId}`)
-        .setLabel('❌ Reject')
-        .setStyle(ButtonStyle.Danger)
-    );
+// Function to create action buttons for the moves allowed from the request's status
+function createActionButtons(request) {
+  const buttons = getAllowedTransitions(request.status)
+    .filter(status => STATUS_BUTTONS[status])
+    .map(status => new ButtonBuilder()
+      .setCustomId(`${STATUS_BUTTONS[status].action}_${request.id}`)
+      .setLabel(STATUS_BUTTONS[status].label)
+      .setStyle(STATUS_BUTTONS[status].style));
+
+  // Open requests can be claimed by a staff member
+  if (!request.assignedTo && !isFinalStatus(request.status)) {
+    buttons.push(new ButtonBuilder()
+      .setCustomId(`claim_${request.id}`)
+      .setLabel('🙋 Claim')
+      .setStyle(ButtonStyle.Secondary));
+  }
+
+  return buttons.length > 0 ? new ActionRowBuilder().addComponents(buttons) : null;
+}
+
+// Build the embed and buttons for a request message
+function createRequestMessage(request) {
+  const buttons = createActionButtons(request);
+  return {
+    embeds: [createRequestEmbed(request)],
+    components: buttons ? [buttons] : []
+  };
+}
+
+// Get the request ID from a message posted by this bot, or null for other messages
+function getMessageRequestId(message) {
+  if (message.author.id !== client.user.id) return null;
+
+  const title = message.embeds[0] && message.embeds[0].title;
+  const match = title && title.match(/Redeem Request #(\d+)$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Fetch the stored Discord message for a request, or null if it no longer exists
+async function fetchRequestMessage(request) {
+  if (!request.discordChannelId || !request.discordMessageId) return null;
 
-  return row;
+  try {
+    const channel = await client.channels.fetch(request.discordChannelId);
+    return await channel.messages.fetch(request.discordMessageId);
+  } catch (error) {
+    // Unknown channel/message: it was deleted
+    if (error.code === 10003 || error.code === 10008) return null;
+    throw error;
+  }
 }
 
 // Function to send new request notification
 async function sendNewRequestNotification(request) {
+  if (sendingRequests.has(request.id)) return;
+  sendingRequests.add(request.id);
+
   try {
+    // Re-check in case the request was posted since it was loaded
+    const current = await database.getRequestById(request.id);
+    if (!current || current.discordMessageId) return;
+    request = current;
+
     const logsChannelId = process.env.REDEEM_LOGS_CHANNEL_ID;
     if (!logsChannelId) {
       console.error('REDEEM_LOGS_CHANNEL_ID not configured');
@@ -87,25 +274,39 @@ async function sendNewRequestNotification(request) {
       return;
     }
 
-    const embed = createRequestEmbed(request);
-    const buttons = createActionButtons(request.id);
-
-    const message = await channel.send({
-      embeds: [embed],
-      components: [buttons]
-    });
+    const message = await channel.send(createRequestMessage(request));
 
-    // Store message ID for later reference
-    activeMessages.set(request.id, message.id);
+    // Store message ID so it survives restarts
+    await database.setRequestMessage(request.id, channel.id, message.id);
 
     console.log(`Sent notification for request #${request.id}`);
   } catch (error) {
     console.error('Error sending new request notification:', error);
+  } finally {
+    sendingRequests.delete(request.id);
   }
 }
 
 // Function to update existing request message
 async function updateRequestMessage(requestId, status) {
+  try {
+    const request = await database.getRequestById(requestId);
+    if (!request) return;
+
+    const message = await fetchRequestMessage(request);
+    if (!message) return;
+
+    await message.edit(createRequestMessage(request));
+
+    console.log(`Updated message for request #${requestId} with status: ${status}`);
+  } catch (error) {
+    console.error('Error updating request message:', error);
+  }
+}
+
+// Reconcile the logs channel with the stored message mapping after a restart:
+// re-attach buttons to known messages, adopt or remove duplicates, and forget deleted messages
+async function reconcileRequestMessages() {
   try {
     const logsChannelId = process.env.REDEEM_LOGS_CHANNEL_ID;
     if (!logsChannelId) return;
@@ -113,45 +314,68 @@ async function updateRequestMessage(requestId, status) {
     const channel = await client.channels.fetch(logsChannelId);
     if (!channel) return;
 
-    const messageId = activeMessages.get(requestId);
-    if (!messageId) return;
+    // Scan recent messages, newest first
+    const scanned = [];
+    let before;
+    while (scanned.length < RECONCILE_SCAN_LIMIT) {
+      const batch = await channel.messages.fetch({ limit: 100, before });
+      if (batch.size === 0) break;
+      scanned.push(...batch.values());
+      before = batch.last().id;
+    }
 
-    const message = await channel.messages.fetch(messageId);
-    if (!message) return;
+    const requests = new Map();
+    for (const message of scanned) {
+      const requestId = getMessageRequestId(message);
+      if (!requestId) continue;
 
-    const request = await database.getRequestById(requestId);
-    if (!request) return;
+      if (!requests.has(requestId)) {
+        requests.set(requestId, await database.getRequestById(requestId));
+      }
+      const request = requests.get(requestId);
+      if (!request) continue;
 
-    const embed = createRequestEmbed(request);
+      // Adopt the newest message for requests posted before the mapping was stored
+      if (!request.discordMessageId) {
+        await database.setRequestMessage(request.id, channel.id, message.id);
+        request.discordChannelId = channel.id;
+        request.discordMessageId = message.id;
+      }
 
-    // Remove buttons if request is no longer pending
-    if (status !== 'PENDING') {
-      await message.edit({
-        embeds: [embed],
-        components: []
-      });
-    } else {
-      const buttons = createActionButtons(requestId);
-      await message.edit({
-        embeds: [embed],
-        components: [buttons]
-      });
+      if (request.discordMessageId === message.id) {
+        await message.edit(createRequestMessage(request));
+      } else if (DUPLICATE_MESSAGE_ACTION === 'mark') {
+        await message.edit({
+          content: `⚠️ Duplicate of ${request.discordMessageId ? `https://discord.com/channels/${channel.guildId}/${request.discordChannelId}/${request.discordMessageId}` : `request #${request.id}`}`,
+          components: []
+        });
+      } else {
+        await message.delete();
+      }
     }
 
-    console.log(`Updated message for request #${requestId} with status: ${status}`);
+    // Forget messages of requests waiting for review that were deleted so they get posted again
+    const reviewRequests = await database.getAllRequests({ statuses: REVIEW_STATUSES });
+    for (const request of reviewRequests) {
+      if (request.discordMessageId && !(await fetchRequestMessage(request))) {
+        await database.setRequestMessage(request.id, null, null);
+      }
+    }
+
+    console.log(`Reconciled ${requests.size} request message(s) in the logs channel`);
   } catch (error) {
-    console.error('Error updating request message:', error);
+    console.error('Error reconciling request messages:', error);
   }
 }
 
-// Check for new pending requests periodically
+// Check for new requests waiting for review periodically
 async function checkForNewRequests() {
   try {
-    const pendingRequests = await database.getRequestsByStatus('PENDING');
+    const reviewRequests = await database.getAllRequests({ statuses: REVIEW_STATUSES });
     
-    for (const request of pendingRequests) {
+    for (const request of reviewRequests) {
       // Check if we already sent a notification for this request
-      if (!activeMessages.has(request.id)) {
+      if (!request.discordMessageId) {
         await sendNewRequestNotification(request);
         // Small delay to avoid rate limiting
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -162,23 +386,63 @@ async function checkForNewRequests() {
   }
 }
 
+// Handle events pushed by the web server
+async function handleServerNotification(event, data) {
+  const requestId = parseInt(data.requestId);
+  if (!requestId) return;
+
+  if (event === 'request.created') {
+    const request = await database.getRequestById(requestId);
+    if (request && REVIEW_STATUSES.includes(request.status)) {
+      await sendNewRequestNotification(request);
+    }
+  } else if (event === 'request.updated') {
+    await updateRequestMessage(requestId, data.status);
+  }
+}
+
 // Handle slash command interactions
 client.on(Events.InteractionCreate, async interaction => {
   if (!interaction.isChatInputCommand()) return;
 
   if (interaction.commandName === 'viewkey') {
     await handleViewKeyCommand(interaction);
+  } else if (interaction.commandName === 'history') {
+    await handleHistoryCommand(interaction);
+  } else if (interaction.commandName === 'myqueue') {
+    await handleMyQueueCommand(interaction);
+  } else if (interaction.commandName === 'unclaim') {
+    await handleUnclaimCommand(interaction);
+  } else if (interaction.commandName === 'export') {
+    await handleExportCommand(interaction);
+  } else if (interaction.commandName === 'block') {
+    await handleBlockCommand(interaction);
   }
 });
 
-// Handle /viewkey command
+// Handle /viewkey command. Only KEY_VIEWER_ROLE_IDS may use it, and every reveal is audited.
 async function handleViewKeyCommand(interaction) {
   const requestId = interaction.options.getInteger('id');
 
+  if (!canViewKeys(interaction)) {
+    console.log(`${interaction.user.tag} was denied the key of request #${requestId}`);
+    return await interaction.reply({
+      content: '❌ You are not allowed to view redeem keys.',
+      ephemeral: true
+    });
+  }
+
   try {
-    const request = await database.getRequestById(requestId);
-    
-    if (!request) {
+    const reveal = await revealKey(requestId, getDiscordActor(interaction));
+
+    if (reveal.result === REVEAL_RESULTS.RATE_LIMITED) {
+      return await interaction.reply({
+        content: `❌ ${reveal.message}. Try again later.`,
+        ephemeral: true
+      });
+    }
+
+    if (reveal.result === REVEAL_RESULTS.NOT_FOUND) {
       const errorEmbed = new EmbedBuilder()
         .setColor('#e74c3c')
         .setTitle('❌ Request Not Found')
@@ -191,6 +455,8 @@ async function handleViewKeyCommand(interaction) {
       });
     }
 
+    const { request } = reveal;
+
     const keyEmbed = new EmbedBuilder()
       .setColor('#9333ea')
       .setTitle('🔑 Redeem Key Information')
@@ -224,51 +490,555 @@ async function handleViewKeyCommand(interaction) {
   }
 }
 
+// Describe who made an audit log entry
+function formatActor(event) {
+  if (event.actorType === 'discord') {
+    return event.actorId ? `<@${event.actorId}>` : event.actorName;
+  }
+  if (event.actorType === 'api_token') {
+    return `API token ${event.actorName || `#${event.actorId}`}`;
+  }
+  return event.actorName || event.actorType;
+}
+
+// Handle /history command. Only REVIEWER_ROLE_IDS may use it.
+async function handleHistoryCommand(interaction) {
+  if (!canReview(interaction)) {
+    return await interaction.reply({
+      content: '❌ You are not allowed to review redeem requests.',
+      ephemeral: true
+    });
+  }
+
+  const requestId = interaction.options.getInteger('id');
+
+  try {
+    const request = await database.getRequestById(requestId);
+
+    if (!request) {
+      return await interaction.reply({
+        content: `❌ No request found with ID: ${requestId}`,
+        ephemeral: true
+      });
+    }
+
+    const events = await database.getAuditEvents(request.id);
+
+    // Only the most recent entries fit in an embed
+    const lines = events.slice(-HISTORY_LIMIT).map(event => {
+      const change = event.action === 'status_changed'
+        ? `${event.oldStatus} → ${event.newStatus}`
+        : AUDIT_ACTION_LABELS[event.action] || event.action;
+      const reason = event.reason ? `\n> ${event.reason}` : '';
+      return `\`${formatTimestamp(event.createdAt)}\` **${change}** by ${formatActor(event)}${reason}`;
+    });
+
+    const historyEmbed = new EmbedBuilder()
+      .setColor('#3498db')
+      .setTitle(`📜 History of Request #${request.id}`)
+      .setDescription(lines.length > 0 ? lines.join('\n') : 'No changes recorded.')
+      .addFields(
+        { name: 'Submitted', value: formatTimestamp(request.timestamp), inline: true },
+        { name: 'Current Status', value: request.status, inline: true }
+      )
+      .setTimestamp()
+      .setFooter({ text: 'Redeem Panel Bot' });
+
+    if (events.length > HISTORY_LIMIT) {
+      historyEmbed.setFooter({ text: `Redeem Panel Bot • Showing the last ${HISTORY_LIMIT} of ${events.length} entries` });
+    }
+
+    await interaction.reply({
+      embeds: [historyEmbed],
+      ephemeral: true
+    });
+  } catch (error) {
+    console.error('Error handling history command:', error);
+    await interaction.reply({
+      content: '❌ An error occurred while fetching the request history.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle /myqueue command: open requests claimed by the user. Only REVIEWER_ROLE_IDS may use it.
+async function handleMyQueueCommand(interaction) {
+  if (!canReview(interaction)) {
+    return await interaction.reply({
+      content: '❌ You are not allowed to review redeem requests.',
+      ephemeral: true
+    });
+  }
+
+  try {
+    const openStatuses = Object.keys(REQUEST_STATUSES).filter(status => !isFinalStatus(status));
+    const requests = await database.getAllRequests({
+      assignedTo: getAssigneeKey(getDiscordActor(interaction)),
+      statuses: openStatuses
+    });
+
+    const lines = requests.slice(0, QUEUE_LIMIT).map(request => {
+      const link = request.discordMessageId
+        ? ` • [message](https://discord.com/channels/${interaction.guildId}/${request.discordChannelId}/${request.discordMessageId})`
+        : '';
+      return `**#${request.id}** ${request.name} • ${request.status}${link}`;
+    });
+
+    const queueEmbed = new EmbedBuilder()
+      .setColor('#3498db')
+      .setTitle('🙋 Your Claimed Requests')
+      .setDescription(lines.length > 0 ? lines.join('\n') : 'You have no open claimed requests.')
+      .setTimestamp()
+      .setFooter({
+        text: requests.length > QUEUE_LIMIT
+          ? `Redeem Panel Bot • Showing ${QUEUE_LIMIT} of ${requests.length} requests`
+          : 'Redeem Panel Bot'
+      });
+
+    await interaction.reply({
+      embeds: [queueEmbed],
+      ephemeral: true
+    });
+  } catch (error) {
+    console.error('Error handling myqueue command:', error);
+    await interaction.reply({
+      content: '❌ An error occurred while fetching your queue.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle /unclaim command. Only REVIEWER_ROLE_IDS may use it.
+async function handleUnclaimCommand(interaction) {
+  if (!canReview(interaction)) {
+    return await interaction.reply({
+      content: '❌ You are not allowed to review redeem requests.',
+      ephemeral: true
+    });
+  }
+
+  const requestId = interaction.options.getInteger('id');
+  const force = interaction.options.getBoolean('force') || false;
+
+  try {
+    const request = await database.getRequestById(requestId);
+
+    if (!request) {
+      return await interaction.reply({
+        content: `❌ No request found with ID: ${requestId}`,
+        ephemeral: true
+      });
+    }
+
+    const changes = await database.unclaimRequest(request.id, getDiscordActor(interaction), force);
+
+    if (changes === 0) {
+      return await interaction.reply({
+        content: request.assignedTo
+          ? `❌ This request is claimed by ${request.assignedToName}. Use \`force: True\` to release it.`
+          : '❌ This request is not claimed.',
+        ephemeral: true
+      });
+    }
+
+    await updateRequestMessage(request.id, request.status);
+    console.log(`Request #${request.id} unclaimed by ${interaction.user.tag}`);
+
+    await interaction.reply({
+      content: `✅ Request #${request.id} is no longer claimed.`,
+      ephemeral: true
+    });
+  } catch (error) {
+    console.error('Error handling unclaim command:', error);
+    await interaction.reply({
+      content: '❌ An error occurred while unclaiming the request.',
+      ephemeral: true
+    });
+  }
+}
+
+// Handle /export command: upload the matching requests as a file (with masked keys).
+// Only REVIEWER_ROLE_IDS may use it.
+async function handleExportCommand(interaction) {
+  if (!canReview(interaction)) {
+    return await interaction.reply({
+      content: '❌ You are not allowed to review redeem requests.',
+      ephemeral: true
+    });
+  }
+
+  const format = interaction.options.getString('format') || 'csv';
+  const from = interaction.options.getString('from');
+  const to = interaction.options.getString('to');
+  const status = interaction.options.getString('status');
+
+  const filters = {
+    statuses: status ? [status] : undefined,
+    from: from ? parseDateBound(from) : undefined,
+    to: to ? parseDateBound(to, true) : undefined
+  };
+
+  if ((from && !filters.from) || (to && !filters.to)) {
+    return await interaction.reply({
+      content: '❌ Dates must look like 2024-06-01.',
+      ephemeral: true
+    });
+  }
+
+  try {
+    await interaction.deferReply({ ephemeral: true });
+
+    const report = await buildRequestExport(filters, format);
+    const attachment = new AttachmentBuilder(Buffer.from(report.content), { name: report.filename });
+
+    await interaction.editReply({
+      content: `📤 Exported ${report.count} request(s).`,
+      files: [attachment]
+    });
+    console.log(`${report.count} request(s) exported by ${interaction.user.tag}`);
+  } catch (error) {
+    console.error('Error handling export command:', error);
+    await interaction.editReply({
+      content: '❌ An error occurred while exporting requests.'
+    });
+  }
+}
+
+// Handle /block add|remove|list. Only IP_RULE_ROLE_IDS may use it.
+async function handleBlockCommand(interaction) {
+  if (!canManageIPRules(interaction)) {
+    return await interaction.reply({
+      content: '❌ You are not allowed to block IP addresses.',
+      ephemeral: true
+    });
+  }
+
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (subcommand === 'add') {
+      const added = await addIPRule({
+        cidr: interaction.options.getString('ip'),
+        type: IP_RULE_TYPES.BLOCK,
+        reason: interaction.options.getString('reason')
+      }, getDiscordActor(interaction));
+
+      return await interaction.reply({
+        content: added.result === IP_RULE_RESULTS.CREATED
+          ? `🚫 Blocked \`${added.rule.cidr}\`. New requests from it are turned away.`
+          : `❌ ${added.message}`,
+        ephemeral: true
+      });
+    }
+
+    if (subcommand === 'remove') {
+      const cidr = normalizeCIDR(interaction.options.getString('ip'));
+      const rule = cidr && await database.getIPRuleByCidr(cidr);
+
+      if (!rule || rule.type !== IP_RULE_TYPES.BLOCK) {
+        return await interaction.reply({
+          content: `❌ \`${cidr || interaction.options.getString('ip')}\` is not blocked.`,
+          ephemeral: true
+        });
+      }
+
+      const removed = await removeIPRule(rule.id, getDiscordActor(interaction));
+      return await interaction.reply({
+        content: removed.result === IP_RULE_RESULTS.REMOVED ? `✅ Unblocked \`${rule.cidr}\`.` : `❌ ${removed.message}`,
+        ephemeral: true
+      });
+    }
+
+    const rules = await database.getIPRules(IP_RULE_TYPES.BLOCK);
+    const lines = rules.slice(0, BLOCK_LIST_LIMIT).map(rule => {
+      const reason = rule.reason ? ` - ${rule.reason.length > 100 ? `${rule.reason.slice(0, 97)}...` : rule.reason}` : '';
+      return `\`${rule.cidr}\`${reason} (by ${formatActor(rule)})`;
+    });
+
+    const listEmbed = new EmbedBuilder()
+      .setColor('#e74c3c')
+      .setTitle('🚫 Blocked IP Addresses')
+      .setDescription(lines.length > 0 ? lines.join('\n') : 'No IP addresses are blocked.')
+      .setTimestamp()
+      .setFooter({ text: rules.length > BLOCK_LIST_LIMIT
+        ? `Redeem Panel Bot • Showing ${BLOCK_LIST_LIMIT} of ${rules.length}`
+        : 'Redeem Panel Bot' });
+
+    await interaction.reply({
+      embeds: [listEmbed],
+      ephemeral: true
+    });
+  } catch (error) {
+    console.error('Error handling block command:', error);
+    await interaction.reply({
+      content: '❌ An error occurred while updating the blocklist.',
+      ephemeral: true
+    });
+  }
+}
+
+// Select menu of preset rejection reasons, plus "Other" for free text
+function createRejectReasonMenu(requestId) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`rejectreason_${requestId}`)
+    .setPlaceholder('Choose a rejection reason')
+    .addOptions(
+      ...REJECTION_REASONS.map((reason, index) => ({
+        label: reason.length > 100 ? `${reason.slice(0, 97)}...` : reason,
+        value: String(index)
+      })),
+      { label: 'Other (type a reason)', value: 'other' }
+    );
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+// Modal for a free-text rejection reason or an optional approval note
+function createNoteModal(action, requestId) {
+  const rejecting = action === 'reject';
+
+  const noteInput = new TextInputBuilder()
+    .setCustomId('note')
+    .setLabel(rejecting ? 'Reason (shown to the customer)' : 'Note (shown to the customer)')
+    .setPlaceholder(rejecting ? 'Why is this request being rejected?' : 'Optional note for the customer')
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(NOTE_MAX_LENGTH)
+    .setRequired(rejecting);
+
+  return new ModalBuilder()
+    .setCustomId(`${action}note_${requestId}`)
+    .setTitle(`${rejecting ? 'Reject' : 'Approve'} Request #${requestId}`)
+    .addComponents(new ActionRowBuilder().addComponents(noteInput));
+}
+
+// Audit log actor for the staff member behind an interaction
+function getDiscordActor(interaction) {
+  return { type: 'discord', id: interaction.user.id, name: interaction.user.tag };
+}
+
+// Button for taking over a request claimed by someone else
+function createTakeOverButton(requestId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`takeover_${requestId}`)
+      .setLabel('Take Over')
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+// Check that a staff member can move a request to a status. Returns an error message or null.
+async function checkStatusChange(requestId, newStatus, actor) {
+  const request = await database.getRequestById(requestId);
+  if (!request) return '❌ Request not found.';
+
+  const error = checkTransition(request.status, newStatus) || checkClaim(request, actor);
+  return error ? `❌ ${error}` : null;
+}
+
+// Change a request's status from Discord. Returns an error message, or null on success.
+async function changeRequestStatus(interaction, requestId, newStatus, note = null) {
+  const actor = getDiscordActor(interaction);
+
+  const error = await checkStatusChange(requestId, newStatus, actor);
+  if (error) return error;
+
+  // Update request status in database
+  const changes = await database.updateRequestStatus(requestId, newStatus, note, actor);
+  if (changes === 0) return '❌ This request was just updated by someone else.';
+
+  // Put the key back into stock if the policy for this status says so
+  if (shouldReleaseKey(newStatus)) {
+    await database.releaseRequestKey(requestId, actor);
+  }
+
+  // Update the message
+  await updateRequestMessage(requestId, newStatus);
+
+  // Notify webhook receivers
+  emitEvent(`request.${newStatus.toLowerCase()}`, {
+    request: serializeRequest(await database.getRequestById(requestId)),
+    actor
+  });
+
+  console.log(`Request #${requestId} moved to ${newStatus} by ${interaction.user.tag}${note ? `: ${note}` : ''}`);
+  return null;
+}
+
+// Confirmation shown after a status change
+function describeStatusChange(requestId, newStatus, interaction, note) {
+  return `✅ Request #${requestId} has been moved to **${newStatus}** by ${interaction.user.tag}${note ? `\n> ${note}` : ''}`;
+}
+
+// Handle the Claim and Take Over buttons
+async function handleClaimButton(interaction, requestId, force) {
+  const request = await database.getRequestById(requestId);
+  if (!request) {
+    await interaction.reply({ content: '❌ Request not found.', ephemeral: true });
+    return;
+  }
+
+  if (isFinalStatus(request.status)) {
+    await interaction.reply({ content: `❌ This request is already ${request.status} and can no longer be claimed.`, ephemeral: true });
+    return;
+  }
+
+  const changes = await database.claimRequest(request.id, getDiscordActor(interaction), force);
+  if (changes === 0) {
+    const current = await database.getRequestById(request.id);
+    await interaction.reply({
+      content: `❌ This request is already claimed by ${current.assignedToName}.`,
+      components: [createTakeOverButton(request.id)],
+      ephemeral: true
+    });
+    return;
+  }
+
+  console.log(`Request #${request.id} ${force ? 'taken over' : 'claimed'} by ${interaction.user.tag}`);
+
+  if (force) {
+    // Take Over is pressed on the ephemeral warning, so the request message is edited separately
+    await updateRequestMessage(request.id, request.status);
+    await interaction.update({ content: `✅ You took over request #${request.id}.`, components: [] });
+  } else {
+    await interaction.update(createRequestMessage(await database.getRequestById(request.id)));
+  }
+}
+
 // Handle button interactions
 client.on(Events.InteractionCreate, async interaction => {
   if (!interaction.isButton()) return;
 
-  const customId = interaction.customId;
-  
-  if (customId.startsWith('approve_') || customId.startsWith('reject_')) {
-    const [action, requestId] = customId.split('_');
-    
+  const [action, requestId] = interaction.customId.split('_');
+
+  // Request controls are for REVIEWER_ROLE_IDS
+  if (!canReview(interaction)) {
+    await interaction.reply({
+      content: '❌ You are not allowed to review redeem requests.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (action === 'claim' || action === 'takeover') {
     try {
+      await handleClaimButton(interaction, requestId, action === 'takeover');
+    } catch (error) {
+      console.error('Error handling claim:', error);
+      await interaction.reply({
+        content: '❌ An error occurred while claiming the request.',
+        ephemeral: true
+      });
+    }
+    return;
+  }
+
+  const newStatus = Object.keys(STATUS_BUTTONS).find(status => STATUS_BUTTONS[status].action === action);
+  if (!newStatus) return;
+
+  try {
+    const actor = getDiscordActor(interaction);
+    const error = await checkStatusChange(requestId, newStatus, actor);
+    if (error) {
+      // Offer to take over requests that are only blocked by someone else's claim
       const request = await database.getRequestById(requestId);
-      if (!request) {
-        await interaction.reply({
-          content: '❌ Request not found.',
-          ephemeral: true
-        });
-        return;
-      }
+      const blockedByClaim = request && !checkTransition(request.status, newStatus) && checkClaim(request, actor);
 
-      if (request.status !== 'PENDING') {
-        await interaction.reply({
-          content: `❌ This request has already been ${request.status.toLowerCase()}.`,
-          ephemeral: true
-        });
-        return;
-      }
+      await interaction.reply({
+        content: error,
+        components: blockedByClaim ? [createTakeOverButton(requestId)] : [],
+        ephemeral: true
+      });
+      return;
+    }
 
-      const newStatus = action === 'approve' ? 'APPROVED' : 'REJECTED';
-      
-      // Update request status in database
-      await database.updateRequestStatus(requestId, newStatus);
-      
-      // Update the message
-      await updateRequestMessage(requestId, newStatus);
-      
-      // Confirm the action
-      await interaction.update({
-        content: `✅ Request #${requestId} has been **${newStatus}** by ${interaction.user.tag}`,
-        components: [] // Remove buttons after action
+    // Rejecting always asks for a reason
+    if (newStatus === 'REJECTED') {
+      await interaction.reply({
+        content: `Why is request #${requestId} being rejected? The reason is shown to the customer.`,
+        components: [createRejectReasonMenu(requestId)],
+        ephemeral: true
       });
+      return;
+    }
 
-      console.log(`Request #${requestId} ${newStatus.toLowerCase()} by ${interaction.user.tag}`);
-      
+    if (newStatus === 'APPROVED' && APPROVAL_NOTE_PROMPT) {
+      await interaction.showModal(createNoteModal('approve', requestId));
+      return;
+    }
+
+    const changeError = await changeRequestStatus(interaction, requestId, newStatus);
+    if (changeError) {
+      await interaction.reply({ content: changeError, ephemeral: true });
+      return;
+    }
+
+    // Confirm the action, showing the buttons for the new status
+    await interaction.update({
+      content: describeStatusChange(requestId, newStatus, interaction),
+      ...createRequestMessage(await database.getRequestById(requestId))
+    });
+
+  } catch (error) {
+    console.error('Error handling button interaction:', error);
+    await interaction.reply({
+      content: '❌ An error occurred while processing your request.',
+      ephemeral: true
+    });
+  }
+});
+
+// Handle the rejection reason menu
+client.on(Events.InteractionCreate, async interaction => {
+  if (!interaction.isStringSelectMenu() || !interaction.customId.startsWith('rejectreason_')) return;
+
+  const requestId = interaction.customId.split('_')[1];
+  const choice = interaction.values[0];
+
+  try {
+    if (choice === 'other') {
+      await interaction.showModal(createNoteModal('reject', requestId));
+      return;
+    }
+
+    const reason = REJECTION_REASONS[parseInt(choice)];
+    const error = await changeRequestStatus(interaction, requestId, 'REJECTED', reason);
+
+    await interaction.update({
+      content: error || describeStatusChange(requestId, 'REJECTED', interaction, reason),
+      components: []
+    });
+  } catch (error) {
+    console.error('Error handling rejection reason:', error);
+    await interaction.reply({
+      content: '❌ An error occurred while processing your request.',
+      ephemeral: true
+    });
+  }
+});
+
+// Handle typed rejection reasons and approval notes
+client.on(Events.InteractionCreate, async interaction => {
+  if (!interaction.isModalSubmit()) return;
+
+  const customId = interaction.customId;
+
+  if (customId.startsWith('approvenote_') || customId.startsWith('rejectnote_')) {
+    const [action, requestId] = customId.split('_');
+    const newStatus = action === 'approvenote' ? 'APPROVED' : 'REJECTED';
+    const note = interaction.fields.getTextInputValue('note').trim() || null;
+
+    try {
+      const error = await changeRequestStatus(interaction, requestId, newStatus, note);
+      const content = error || describeStatusChange(requestId, newStatus, interaction, note);
+
+      // Rejections come from the ephemeral reason menu, which is replaced with the result
+      if (newStatus === 'REJECTED') {
+        await interaction.update({ content, components: [] });
+      } else {
+        await interaction.reply({ content, ephemeral: true });
+      }
     } catch (error) {
-      console.error('Error handling button interaction:', error);
+      console.error('Error handling status note:', error);
       await interaction.reply({
         content: '❌ An error occurred while processing your request.',
         ephemeral: true
@@ -278,14 +1048,29 @@ client.on(Events.InteractionCreate, async interaction => {
 });
 
 // Bot ready event
-client.once(Events.ClientReady, c => {
+client.once(Events.ClientReady, async c => {
   console.log(`🤖 Discord bot ready! Logged in as ${c.user.tag}`);
   
-  // Start checking for new requests every 30 seconds
-  setInterval(checkForNewRequests, 30000);
-  
-  // Check immediately on startup
-  checkForNewRequests();
+  // Wait for the database before touching any requests
+  await databaseReady;
+
+  // Fix up messages from before the restart, then post anything still missing
+  await reconcileRequestMessages();
+  await checkForNewRequests();
+
+  // Receive new requests from the server as they happen
+  if (PUSH_ENABLED) {
+    startNotifyServer(NOTIFY_PORT, NOTIFY_SECRET, handleServerNotification);
+  }
+
+  // Retry failed webhook deliveries in the background
+  startWebhookWorker();
+
+  // Expire requests that stayed pending too long (REQUEST_EXPIRY_HOURS)
+  startExpiryWorker(request => updateRequestMessage(request.id, request.status));
+
+  // Poll for requests that were missed (every 30 seconds, or as a slower fallback with push enabled)
+  setInterval(checkForNewRequests, POLL_INTERVAL_MS);
 });
 
 // Error handling
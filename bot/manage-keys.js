@@ -0,0 +1,195 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const database = require('../server/database');
+const { KEY_STATES, DEFAULT_KEY_FORMAT, generateKey } = require('../server/keys');
+const { toCSV, parseCSV } = require('../server/csv');
+const { parseArgs } = require('./cli');
+
+const EXPORT_COLUMNS = ['redeemKey', 'product', 'batch', 'state', 'expiresAt', 'createdAt'];
+
+const USAGE = `Usage:
+  node bot/manage-keys.js generate --product <name> --count <n> [--batch <name>]
+                                   [--format ${DEFAULT_KEY_FORMAT}] [--prefix <text>] [--checksum]
+                                   [--state issued|unissued] [--expires <date>] [--out <file>]
+  node bot/manage-keys.js import <file.csv|file.json> [--product <name>] [--batch <name>]
+                                   [--state issued|unissued] [--expires <date>]
+  node bot/manage-keys.js export [--format csv|json] [--product <name>] [--batch <name>] [--out <file>]`;
+
+// Normalize a --state option to a key state
+function parseState(value, fallback) {
+  if (!value) return fallback;
+
+  const state = String(value).toUpperCase();
+  if (![KEY_STATES.ISSUED, KEY_STATES.UNISSUED].includes(state)) {
+    throw new Error(`Invalid --state "${value}". Must be issued or unissued.`);
+  }
+  return state;
+}
+
+// Normalize a --expires option to an ISO timestamp
+function parseExpiry(value) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}".`);
+  }
+  return date.toISOString();
+}
+
+// Write rows to a file as CSV or JSON based on the format
+function writeRows(file, rows, format) {
+  const content = format === 'json'
+    ? JSON.stringify(rows, null, 2)
+    : toCSV(rows, EXPORT_COLUMNS);
+
+  fs.writeFileSync(file, content);
+}
+
+// Generate new keys for a product and batch
+async function generateKeys(args) {
+  const count = parseInt(args.count);
+  if (!args.product || !count || count < 1) {
+    throw new Error('generate requires --product and a positive --count');
+  }
+
+  const format = args.format || DEFAULT_KEY_FORMAT;
+  if (!/^[A-Za-z0-9\-_]+$/.test(format) || !format.includes('X')) {
+    throw new Error('--format may only contain letters, numbers, hyphens and underscores, and must include X');
+  }
+
+  // Customers can only submit keys made of these characters
+  const prefix = typeof args.prefix === 'string' ? args.prefix : '';
+  if (!/^[A-Za-z0-9\-_]*$/.test(prefix)) {
+    throw new Error('--prefix may only contain letters, numbers, hyphens and underscores');
+  }
+
+  const state = parseState(args.state, KEY_STATES.ISSUED);
+  const expiresAt = parseExpiry(args.expires);
+  const created = [];
+
+  while (created.length < count) {
+    const redeemKey = generateKey({
+      format,
+      prefix,
+      checksum: !!args.checksum
+    });
+
+    try {
+      await database.createKey({ redeemKey, product: args.product, batch: args.batch || null, state, expiresAt });
+      created.push({ redeemKey, product: args.product, batch: args.batch || null, state, expiresAt });
+    } catch (error) {
+      // Collided with an existing key, try again
+      if (!database.isUniqueViolation(error)) throw error;
+    }
+  }
+
+  console.log(`Generated ${created.length} key(s) for product "${args.product}"${args.batch ? ` batch "${args.batch}"` : ''}`);
+
+  if (args.out) {
+    writeRows(args.out, created, path.extname(args.out) === '.json' ? 'json' : 'csv');
+    console.log(`Wrote keys to ${args.out}`);
+  }
+}
+
+// Import existing keys from a CSV or JSON file
+async function importKeys(args) {
+  const file = args._[1];
+  if (!file) {
+    throw new Error('import requires a file path');
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+  let rows;
+  if (path.extname(file).toLowerCase() === '.json') {
+    rows = JSON.parse(content).map(row => (typeof row === 'string' ? { redeemKey: row } : row));
+  } else {
+    rows = parseCSV(content);
+  }
+
+  const defaultState = parseState(args.state, KEY_STATES.ISSUED);
+  const defaultExpiry = parseExpiry(args.expires);
+  let imported = 0;
+  let skipped = 0;
+  let redeemed = 0;
+
+  for (const row of rows) {
+    const redeemKey = (row.redeemKey || row.key || '').trim();
+    const product = row.product || args.product;
+
+    if (!redeemKey || !/^[a-zA-Z0-9\-_]+$/.test(redeemKey) || !product) {
+      console.warn(`Skipping invalid row: ${JSON.stringify(row)}`);
+      skipped++;
+      continue;
+    }
+
+    // Keys that were already used on the panel are imported as redeemed
+    let state = row.state ? parseState(row.state, defaultState) : defaultState;
+    if (await database.isKeyUsed(redeemKey)) {
+      state = KEY_STATES.REDEEMED;
+      redeemed++;
+    }
+
+    try {
+      await database.createKey({
+        redeemKey,
+        product,
+        batch: row.batch || args.batch || null,
+        state,
+        expiresAt: row.expiresAt ? parseExpiry(row.expiresAt) : defaultExpiry
+      });
+      imported++;
+    } catch (error) {
+      if (!database.isUniqueViolation(error)) throw error;
+      skipped++;
+    }
+  }
+
+  console.log(`Imported ${imported} key(s), skipped ${skipped} (invalid or duplicate), ${redeemed} already redeemed`);
+}
+
+// Export keys that have not been redeemed or revoked
+async function exportKeys(args) {
+  const format = args.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    throw new Error('--format must be csv or json');
+  }
+
+  const rows = await database.getKeys({
+    states: [KEY_STATES.UNISSUED, KEY_STATES.ISSUED],
+    product: args.product,
+    batch: args.batch
+  });
+
+  const out = args.out || `keys-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+  writeRows(out, rows.map(row => {
+    const exported = {};
+    EXPORT_COLUMNS.forEach(column => { exported[column] = row[column]; });
+    return exported;
+  }), format);
+
+  console.log(`Exported ${rows.length} unredeemed key(s) to ${out}`);
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0];
+  const commands = { generate: generateKeys, import: importKeys, export: exportKeys };
+
+  if (!commands[command]) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.init();
+    await commands[command](args);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    database.close();
+  }
+})();
@@ -0,0 +1,62 @@
+require('dotenv').config();
+const database = require('../server/database');
+const { ROLES, createToken } = require('../server/auth');
+const { parseArgs } = require('./cli');
+
+const USAGE = `Usage:
+  node bot/manage-tokens.js create --name <name> --role ${ROLES.join('|')}
+  node bot/manage-tokens.js list
+  node bot/manage-tokens.js revoke <id>`;
+
+// Create a token and print it once
+async function createCommand(args) {
+  if (typeof args.name !== 'string' || !ROLES.includes(args.role)) {
+    throw new Error(`create requires --name and --role (${ROLES.join(', ')})`);
+  }
+
+  const created = await createToken(args.name, args.role);
+  console.log(`Created ${created.role} token #${created.id} for "${created.name}":`);
+  console.log(created.token);
+  console.log('Store it now, it will not be shown again.');
+}
+
+// List all tokens
+async function listCommand() {
+  const tokens = await database.getApiTokens();
+  for (const token of tokens) {
+    const status = token.revokedAt ? `revoked ${token.revokedAt}` : `last used ${token.lastUsedAt || 'never'}`;
+    console.log(`#${token.id}  ${token.role.padEnd(8)}  ${token.name}  (${status})`);
+  }
+}
+
+// Revoke a token by ID
+async function revokeCommand(args) {
+  const id = parseInt(args._[1]);
+  if (!id) {
+    throw new Error('revoke requires a token ID');
+  }
+
+  const changes = await database.revokeApiToken(id);
+  console.log(changes > 0 ? `Revoked token #${id}` : `No active token with ID ${id}`);
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const commands = { create: createCommand, list: listCommand, revoke: revokeCommand };
+
+  if (!commands[args._[0]]) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.init();
+    await commands[args._[0]](args);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    database.close();
+  }
+})();
@@ -0,0 +1,46 @@
+require('dotenv').config();
+const database = require('../server/database');
+const { getMigrationStatus, runMigrations } = require('../server/migrator');
+const { parseArgs } = require('./cli');
+
+const USAGE = `Usage:
+  node bot/migrate.js up
+  node bot/migrate.js status`;
+
+// Apply pending migrations
+async function upCommand() {
+  const applied = await runMigrations(database);
+  if (applied.length === 0) {
+    console.log('Database is up to date');
+  }
+}
+
+// List migrations and whether they were applied
+async function statusCommand() {
+  const migrations = await getMigrationStatus(database);
+  for (const migration of migrations) {
+    const status = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name}  (${status})`);
+  }
+}
+
+(async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const commands = { up: upCommand, status: statusCommand };
+
+  if (!commands[args._[0]]) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await database.init({ migrate: false });
+    await commands[args._[0]](args);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    database.close();
+  }
+})();
@@ -0,0 +1,67 @@
+// Internal HTTP endpoint the web server calls to push request events to the bot
+const http = require('http');
+const { verifySignature } = require('../server/signing');
+
+// Largest notification body accepted
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Start listening for signed notifications, calling handler(event, data) for each one
+function startNotifyServer(port, secret, handler) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/notify') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        res.writeHead(413).end();
+        req.destroy();
+      }
+    });
+
+    req.on('end', async () => {
+      const valid = verifySignature(
+        secret,
+        req.headers['x-redeem-timestamp'],
+        body,
+        req.headers['x-redeem-signature']
+      );
+
+      if (!valid) {
+        res.writeHead(401).end();
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400).end();
+        return;
+      }
+
+      // Acknowledge right away, the handler talks to Discord
+      res.writeHead(204).end();
+
+      try {
+        await handler(payload.event, payload.data || {});
+      } catch (error) {
+        console.error(`Error handling ${payload.event} notification:`, error);
+      }
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`📨 Listening for server notifications on port ${port}`);
+  });
+
+  return server;
+}
+
+module.exports = {
+  startNotifyServer,
+};
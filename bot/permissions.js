@@ -0,0 +1,49 @@
+// Which staff members may use the review bot's key and request controls
+const { PermissionFlagsBits } = require('discord.js');
+
+// Parse a comma-separated list of Discord role IDs
+function parseRoleIds(value) {
+  return (value || '').split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Roles that may reveal keys with /viewkey
+const KEY_VIEWER_ROLE_IDS = parseRoleIds(process.env.KEY_VIEWER_ROLE_IDS);
+
+// Roles that may use the buttons on request messages (claim, approve, reject, ...)
+const REVIEWER_ROLE_IDS = parseRoleIds(process.env.REVIEWER_ROLE_IDS);
+
+// Roles that may block and unblock IP addresses with /block
+const IP_RULE_ROLE_IDS = parseRoleIds(process.env.IP_RULE_ROLE_IDS);
+
+// Whether the member behind an interaction has one of the roles.
+// Without configured roles only members with the Manage Server permission are allowed.
+function hasAnyRole(interaction, roleIds) {
+  if (roleIds.length === 0) {
+    return !!interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild);
+  }
+
+  const member = interaction.member;
+  if (!member) return false;
+
+  // Uncached members come as raw API data with a plain array of role IDs
+  const memberRoleIds = member.roles.cache ? [...member.roles.cache.keys()] : member.roles;
+  return roleIds.some(id => memberRoleIds.includes(id));
+}
+
+function canViewKeys(interaction) {
+  return hasAnyRole(interaction, KEY_VIEWER_ROLE_IDS);
+}
+
+function canReview(interaction) {
+  return hasAnyRole(interaction, REVIEWER_ROLE_IDS);
+}
+
+function canManageIPRules(interaction) {
+  return hasAnyRole(interaction, IP_RULE_ROLE_IDS);
+}
+
+module.exports = {
+  canViewKeys,
+  canReview,
+  canManageIPRules,
+};
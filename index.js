@@ -1,12 +1,27 @@
-const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
 
 const { Client, Collection, Events, GatewayIntentBits, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, EmbedBuilder } = require('discord.js');
-const { initializeStorage, isKeyUsed, isUserOnCooldown, setUserCooldown, markKeyAsUsed, saveRequest } = require('./storage');
-
-// Initialize storage
-initializeStorage();
+const database = require('./server/database');
+const { REDEEM_RESULTS, maskKey, checkKeyChecksum } = require('./server/keys');
+const { notifyBot } = require('./server/notify');
+const { getInviteResolver, verifyInvite } = require('./server/invites');
+const { assessSubmission, recordFailedKeyAttempt, recordFraudDecision } = require('./server/scoring');
+const { emitEvent, serializeRequest } = require('./server/webhooks');
+
+// Time a user has to wait between /redeem requests
+const REDEEM_COOLDOWN_MS = 10 * 60 * 1000; // 10 minutes
+
+// Initialize database (shared with the web server and the review bot)
+database.init().catch(console.error);
+
+// Fail at startup, not on every submission, when INVITE_RESOLVER or INVITE_FIXTURES_PATH is wrong
+getInviteResolver();
+
+// Check if user is on cooldown
+async function isUserOnCooldown(userId) {
+  const lastRequestAt = await database.getUserCooldown(userId);
+  return lastRequestAt !== null && Date.now() - lastRequestAt < REDEEM_COOLDOWN_MS;
+}
 
 // Create a new client instance
 const client = new Client({
@@ -43,7 +58,7 @@ async function handleRedeemCommand(interaction) {
   const username = interaction.user.tag;
 
   // Check if user is on cooldown
-  if (isUserOnCooldown(userId)) {
+  if (await isUserOnCooldown(userId)) {
     const cooldownEmbed = new EmbedBuilder()
       .setColor('#ff6b6b')
       .setTitle('⏰ Cooldown Active')
@@ -105,12 +120,13 @@ async function handleRedeemModal(interaction) {
     });
   }
 
-  // Validate Discord invite link format
-  if (!isValidDiscordInvite(inviteLink)) {
+  // Catch mistyped keys before they are looked up or count as failed attempts
+  const checksumError = checkKeyChecksum(redeemKey);
+  if (checksumError) {
     const errorEmbed = new EmbedBuilder()
       .setColor('#ff6b6b')
-      .setTitle('❌ Invalid Invite Link')
-      .setDescription('Please provide a valid Discord.gg invite link.')
+      .setTitle('❌ Mistyped Key')
+      .setDescription(checksumError)
       .setTimestamp();
 
     return await interaction.reply({ 
@@ -119,113 +135,125 @@ async function handleRedeemModal(interaction) {
     });
   }
 
-  // Check if key is already used
-  if (isKeyUsed(redeemKey)) {
-    const errorEmbed = new EmbedBuilder()
-      .setColor('#ff6b6b')
-      .setTitle('❌ Key Already Used')
-      .setDescription('This redeem key has already been used.')
-      .setTimestamp();
+  // Everything below may take longer than the 3 seconds Discord allows for the first reply
+  await interaction.deferReply({ ephemeral: true });
 
-    return await interaction.reply({ 
-      embeds: [errorEmbed], 
-      ephemeral: true 
+  try {
+    // Check the invite link format and that the invite still works
+    const inviteCheck = await verifyInvite(inviteLink);
+    if (inviteCheck.error) {
+      const errorEmbed = new EmbedBuilder()
+        .setColor('#ff6b6b')
+        .setTitle('❌ Invalid Invite Link')
+        .setDescription(inviteCheck.error)
+        .setTimestamp();
+
+      return await interaction.editReply({ embeds: [errorEmbed] });
+    }
+
+    const submission = {
+      name: username,
+      redeemKey,
+      inviteLink: inviteCheck.inviteLink,
+      source: 'discord',
+      discordUserId: userId
+    };
+
+    // Score the submission; risky requests start held or rejected
+    const assessment = await assessSubmission(submission);
+
+    // Claim the key and create the request in the shared database in one transaction,
+    // so it goes through the review pipeline
+    const claim = await database.claimKeyAndCreateRequest({
+      ...submission,
+      ...assessment,
+      invite: inviteCheck.invite,
+      email
     });
-  }
 
-  // Set user cooldown
-  setUserCooldown(userId);
-
-  // Mark key as used
-  markKeyAsUsed(redeemKey);
-
-  // Create request data
-  const requestData = {
-    userId,
-    username,
-    redeemKey,
-    invite: inviteLink,
-    email,
-    status: 'PENDING',
-    timestamp: new Date().toISOString(),
-  };
-
-  // Save request
-  saveRequest(requestData);
-
-  // Send immediate processing message
-  const processingEmbed = new EmbedBuilder()
-    .setColor('#f39c12')
-    .setTitle('⏳ Processing Request')
-    .setDescription('Processing your request...')
-    .setTimestamp();
-
-  await interaction.reply({ 
-    embeds: [processingEmbed], 
-    ephemeral: true 
-  });
-
-  // Update with confirmation message
-  setTimeout(async () => {
-    try {
-      const confirmEmbed = new EmbedBuilder()
-        .setColor('#27ae60')
-        .setTitle('✅ Request Received')
-        .setDescription('Your request has been received. You\'ll be updated shortly.')
-        .addFields(
-          { name: 'Redeem Key', value: `\`${redeemKey}\``, inline: true },
-          { name: 'Status', value: 'PENDING', inline: true }
-        )
+    if (claim.result !== REDEEM_RESULTS.CLAIMED) {
+      await recordFailedKeyAttempt(submission, claim.result);
+
+      const errorEmbed = new EmbedBuilder()
+        .setColor('#ff6b6b')
+        .setTitle(claim.result === REDEEM_RESULTS.ALREADY_USED ? '❌ Key Already Used' : '❌ Invalid Key')
+        .setDescription(claim.message)
         .setTimestamp();
 
-      await interaction.editReply({ embeds: [confirmEmbed], ephemeral: true });
-    } catch (error) {
-      console.error('Error updating interaction:', error);
+      return await interaction.editReply({ embeds: [errorEmbed] });
     }
-  }, 1000);
 
-  // Log to admin channel
-  await logToAdminChannel(requestData);
-}
+    const { requestId } = claim;
 
-// Validate Discord invite link format
-function isValidDiscordInvite(link) {
-  const discordInviteRegex = /^https:\/\/discord\.gg\/[a-zA-Z0-9]+$/;
-  return discordInviteRegex.test(link);
-}
+    // Set user cooldown
+    await database.setUserCooldown(userId);
 
-// Log to admin channel
-async function logToAdminChannel(requestData) {
-  try {
-    const logsChannelId = process.env.REDEEM_LOGS_CHANNEL_ID;
-    if (!logsChannelId) {
-      console.error('REDEEM_LOGS_CHANNEL_ID not configured');
-      return;
-    }
+    console.log(`New redeem request created from Discord: ID ${requestId}, User: ${username}, Fraud score: ${assessment.fraudScore}`);
+
+    // Push the request to the review bot
+    notifyBot('request.created', { requestId });
+
+    const request = await database.getRequestById(requestId);
+    emitEvent('request.created', { request: serializeRequest(request) });
+    await recordFraudDecision(request);
+
+    // Requests rejected by the fraud checks are refused right away
+    if (request.status === 'REJECTED') {
+      const rejectedEmbed = new EmbedBuilder()
+        .setColor('#ff6b6b')
+        .setTitle('❌ Request Rejected')
+        .setDescription(request.staffNote)
+        .setTimestamp();
 
-    const channel = await client.channels.fetch(logsChannelId);
-    if (!channel) {
-      console.error('Could not find logs channel');
-      return;
+      return await interaction.editReply({ embeds: [rejectedEmbed] });
     }
 
-    const logEmbed = new EmbedBuilder()
-      .setColor('#3498db')
-      .setTitle('🔔 New Redeem Request')
-      .addFields(
-        { name: 'User', value: `${requestData.username} (${requestData.userId})`, inline: false },
-        { name: 'Redeem Key', value: `\`${requestData.redeemKey}\``, inline: true },
-        { name: 'Invite Link', value: requestData.invite, inline: true },
-        { name: 'Email', value: requestData.email, inline: true },
-        { name: 'Status', value: requestData.status, inline: true },
-        { name: 'Timestamp', value: new Date(requestData.timestamp).toLocaleString(), inline: false }
-      )
-      .setTimestamp()
-      .setFooter({ text: 'Redeem Bot Logs' });
-
-    await channel.send({ embeds: [logEmbed] });
+    // Send immediate processing message
+    const processingEmbed = new EmbedBuilder()
+      .setColor('#f39c12')
+      .setTitle('⏳ Processing Request')
+      .setDescription('Processing your request...')
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [processingEmbed] });
+
+    // Update with confirmation message
+    setTimeout(async () => {
+      try {
+        const confirmEmbed = new EmbedBuilder()
+          .setColor('#27ae60')
+          .setTitle('✅ Request Received')
+          .setDescription(request.status === 'ON_HOLD'
+            ? 'Your request has been received and is waiting for a manual review.'
+            : 'Your request has been received. You\'ll be updated shortly.')
+          .addFields(
+            { name: 'Request ID', value: `#${requestId}`, inline: true },
+            { name: 'Redeem Key', value: `\`${maskKey(redeemKey)}\``, inline: true },
+            { name: 'Status', value: request.status, inline: true }
+          )
+          .setTimestamp();
+
+        // Link to the customer status page when the panel URL is known
+        if (process.env.FRONTEND_URL) {
+          const trackingUrl = `${process.env.FRONTEND_URL.replace(/\/$/, '')}/status?id=${request.id}&token=${encodeURIComponent(request.trackingToken)}`;
+          confirmEmbed.addFields({ name: 'Track Your Request', value: `[View order status](${trackingUrl})`, inline: false });
+        }
+
+        await interaction.editReply({ embeds: [confirmEmbed] });
+      } catch (error) {
+        console.error('Error updating interaction:', error);
+      }
+    }, 1000);
   } catch (error) {
-    console.error('Error logging to admin channel:', error);
+    console.error('Error handling redeem modal:', error);
+
+    const errorEmbed = new EmbedBuilder()
+      .setColor('#ff6b6b')
+      .setTitle('❌ Error')
+      .setDescription('An error occurred while submitting your request. Please try again later.')
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [errorEmbed] }).catch(console.error);
   }
 }
 
@@ -234,8 +262,7 @@ client.once(Events.ClientReady, c => {
   console.log(`Ready! Logged in as ${c.user.tag}`);
   
   // Clean up old cooldowns on startup
-  const { cleanupOldCooldowns } = require('./storage');
-  cleanupOldCooldowns();
+  database.cleanupOldCooldowns(REDEEM_COOLDOWN_MS).catch(console.error);
 });
 
 // Error handling
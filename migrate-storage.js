@@ -0,0 +1,87 @@
+require('dotenv').config();
+const database = require('./server/database');
+const { KEY_STATES } = require('./server/keys');
+const { requestsFile, usedKeysFile, cooldownsFile, readRequests, readUsedKeys, readCooldowns } = require('./storage');
+
+// One-off import of the legacy JSON storage (data/*.json) into the shared database.
+// Safe to run more than once: rows that already exist are skipped.
+
+// Run an insert and report whether it was skipped because the row already exists
+async function insertUnlessExists(insert) {
+  try {
+    await insert();
+    return true;
+  } catch (error) {
+    if (database.isUniqueViolation(error)) return false;
+    throw error;
+  }
+}
+
+// Import used keys so they cannot be redeemed again on the website
+async function migrateUsedKeys() {
+  const usedKeys = readUsedKeys();
+  let imported = 0;
+
+  for (const redeemKey of usedKeys) {
+    if (await insertUnlessExists(() => database.markKeyAsUsed(redeemKey))) {
+      imported++;
+    }
+    await database.updateKeyState(redeemKey, KEY_STATES.REDEEMED);
+  }
+
+  console.log(`${usedKeysFile}: imported ${imported} of ${usedKeys.length} used key(s)`);
+}
+
+// Import requests, pending ones will be picked up by the review bot
+async function migrateRequests() {
+  const requests = readRequests();
+  const email = process.env.REDEEM_EMAIL || 'burhanw997@gmail.com';
+  let imported = 0;
+
+  for (const request of requests) {
+    const inserted = await insertUnlessExists(() => database.importRequest({
+      name: request.username || request.userId || 'Unknown',
+      redeemKey: request.redeemKey,
+      inviteLink: request.invite || '',
+      email: request.email || email,
+      status: request.status || 'PENDING',
+      // Stored in the same format as SQLite's CURRENT_TIMESTAMP
+      timestamp: new Date(request.timestamp || Date.now()).toISOString().replace('T', ' ').slice(0, 19),
+      discordUserId: request.userId || null
+    }));
+
+    if (inserted) imported++;
+  }
+
+  console.log(`${requestsFile}: imported ${imported} of ${requests.length} request(s)`);
+}
+
+// Import cooldowns that are still relevant
+async function migrateCooldowns() {
+  const cooldowns = readCooldowns();
+  const entries = Object.entries(cooldowns);
+
+  for (const [userId, lastRequestAt] of entries) {
+    const existing = await database.getUserCooldown(userId);
+    if (existing === null || existing < lastRequestAt) {
+      await database.setUserCooldown(userId, lastRequestAt);
+    }
+  }
+
+  console.log(`${cooldownsFile}: imported ${entries.length} cooldown(s)`);
+}
+
+(async () => {
+  try {
+    await database.init();
+    await migrateUsedKeys();
+    await migrateRequests();
+    await migrateCooldowns();
+    console.log('Migration complete');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    database.close();
+  }
+})();
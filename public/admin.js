@@ -0,0 +1,366 @@
+const TOKEN_STORAGE_KEY = 'redeemPanelToken';
+
+const loginForm = document.getElementById('loginForm');
+const tokenInput = document.getElementById('tokenInput');
+const dashboard = document.getElementById('dashboard');
+const session = document.getElementById('session');
+const sessionInfo = document.getElementById('sessionInfo');
+const message = document.getElementById('message');
+const searchField = document.getElementById('searchField');
+const searchInput = document.getElementById('searchInput');
+const statusFilter = document.getElementById('statusFilter');
+const fromDate = document.getElementById('fromDate');
+const toDate = document.getElementById('toDate');
+const resultCount = document.getElementById('resultCount');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const requestsBody = document.getElementById('requestsBody');
+const detail = document.getElementById('detail');
+const detailTitle = document.getElementById('detailTitle');
+const detailFields = document.getElementById('detailFields');
+const detailActions = document.getElementById('detailActions');
+
+// Action button for moving a request to each status
+const STATUS_ACTIONS = {
+    PENDING: { label: '▶️ Release Hold', className: 'btn-secondary' },
+    APPROVED: { label: '✅ Approve', className: 'btn-approve' },
+    IN_PROGRESS: { label: '🛠️ Start', className: 'btn-progress' },
+    FULFILLED: { label: '📦 Fulfilled', className: 'btn-approve' },
+    REJECTED: { label: '❌ Reject', className: 'btn-reject' },
+    REFUNDED: { label: '💸 Refund', className: 'btn-secondary' }
+};
+
+const DETAIL_FIELDS = [
+    ['name', 'Client Name'],
+    ['redeemKey', 'Redeem Key'],
+    ['inviteLink', 'Invite Link'],
+    ['inviteGuildName', 'Server'],
+    ['email', 'Email'],
+    ['orderId', 'Order ID'],
+    ['status', 'Status'],
+    ['fraudScore', 'Fraud Score'],
+    ['fraudReasons', 'Fraud Signals'],
+    ['staffNote', 'Staff Note'],
+    ['assignedToName', 'Claimed By'],
+    ['timestamp', 'Submitted'],
+    ['ipAddress', 'IP Address'],
+    ['userAgent', 'User Agent']
+];
+
+const PAGE_SIZE = 50;
+
+let currentRole = null;
+let requests = [];
+let total = 0;
+let nextCursor = null;
+let selectedId = null;
+let sortField = 'timestamp';
+let sortDirection = 'desc';
+let searchTimer = null;
+
+function showMessage(text, type) {
+    message.textContent = text;
+    message.className = `message ${type}`;
+}
+
+function clearMessage() {
+    message.className = 'message';
+}
+
+// Call the admin API with the stored token
+async function apiRequest(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionStorage.getItem(TOKEN_STORAGE_KEY)}`,
+            ...(options.headers || {})
+        }
+    });
+
+    const data = await response.json();
+
+    if (response.status === 401) {
+        logout();
+    }
+
+    if (!data.success) {
+        throw new Error(data.message || 'Request failed');
+    }
+
+    return data;
+}
+
+function canAction() {
+    return currentRole === 'operator' || currentRole === 'admin';
+}
+
+async function login() {
+    try {
+        const data = await apiRequest('/api/auth/me');
+        currentRole = data.token.role;
+        sessionInfo.textContent = `${data.token.name} (${currentRole})`;
+        loginForm.hidden = true;
+        session.hidden = false;
+        dashboard.hidden = false;
+        clearMessage();
+        await loadRequests();
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+function logout() {
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    currentRole = null;
+    requests = [];
+    nextCursor = null;
+    selectedId = null;
+    loginForm.hidden = false;
+    session.hidden = true;
+    dashboard.hidden = true;
+    detail.style.display = 'none';
+}
+
+// Search options from the toolbar, as GET /api/requests query parameters
+function getSearchParams() {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, sort: sortField, order: sortDirection });
+    const query = searchInput.value.trim();
+
+    if (query) params.set(searchField.value, query);
+    if (statusFilter.value) params.set('status', statusFilter.value);
+    if (fromDate.value) params.set('from', fromDate.value);
+    if (toDate.value) params.set('to', toDate.value);
+
+    return params;
+}
+
+// Load the first page of requests, or the next page with append
+async function loadRequests(append = false) {
+    try {
+        const params = getSearchParams();
+        if (append && nextCursor) params.set('cursor', nextCursor);
+
+        const data = await apiRequest(`/api/requests?${params}`);
+        requests = append ? requests.concat(data.requests) : data.requests;
+        total = data.total;
+        nextCursor = data.nextCursor;
+
+        renderStatusCounts(data.statusCounts);
+        renderTable();
+        if (selectedId !== null) {
+            renderDetail(requests.find(request => request.id === selectedId));
+        }
+    } catch (error) {
+        showMessage(error.message, 'error');
+    }
+}
+
+// Show the number of requests per status in the status filter
+function renderStatusCounts(statusCounts) {
+    let all = 0;
+
+    for (const option of statusFilter.options) {
+        if (!option.dataset.label) option.dataset.label = option.textContent;
+        if (!option.value) continue;
+
+        const count = statusCounts[option.value] || 0;
+        all += count;
+        option.textContent = `${option.dataset.label} (${count})`;
+    }
+
+    statusFilter.options[0].textContent = `${statusFilter.options[0].dataset.label} (${all})`;
+}
+
+function createCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text === null || text === undefined ? '' : text;
+    cell.title = cell.textContent;
+    return cell;
+}
+
+function createStatusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `status status-${status}`;
+    badge.textContent = status;
+    return badge;
+}
+
+function renderTable() {
+    requestsBody.replaceChildren();
+    resultCount.textContent = `Showing ${requests.length} of ${total}`;
+    loadMoreBtn.hidden = !nextCursor;
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+        th.classList.remove('sorted-asc', 'sorted-desc');
+        if (th.dataset.sort === sortField) {
+            th.classList.add(`sorted-${sortDirection}`);
+        }
+    });
+
+    if (requests.length === 0) {
+        const row = document.createElement('tr');
+        const cell = createCell('No requests found');
+        cell.colSpan = 7;
+        cell.className = 'empty';
+        row.appendChild(cell);
+        requestsBody.appendChild(row);
+        return;
+    }
+
+    for (const request of requests) {
+        const row = document.createElement('tr');
+        if (request.id === selectedId) row.classList.add('selected');
+
+        const statusCell = createCell('');
+        statusCell.appendChild(createStatusBadge(request.status));
+
+        row.append(
+            createCell(`#${request.id}`),
+            createCell(request.name),
+            createCell(request.redeemKey),
+            createCell(request.inviteLink),
+            statusCell,
+            createCell(request.ipAddress),
+            createCell(new Date(request.timestamp).toLocaleString())
+        );
+
+        row.addEventListener('click', () => {
+            selectedId = request.id;
+            renderTable();
+            renderDetail(request);
+        });
+
+        requestsBody.appendChild(row);
+    }
+}
+
+// Button that swaps the masked key for the full key. Only admins can reveal keys, and each reveal is audited.
+function createRevealButton(requestId, value) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary btn-small';
+    button.textContent = 'Reveal';
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const data = await apiRequest(`/api/requests/${requestId}/key`);
+            value.textContent = data.redeemKey;
+        } catch (error) {
+            showMessage(error.message, 'error');
+            button.disabled = false;
+        }
+    });
+    return button;
+}
+
+function renderDetail(request) {
+    if (!request) {
+        detail.style.display = 'none';
+        return;
+    }
+
+    detailTitle.textContent = `Request #${request.id}`;
+    detailFields.replaceChildren();
+
+    for (const [field, label] of DETAIL_FIELDS) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        if (field === 'status') {
+            value.appendChild(createStatusBadge(request.status));
+        } else if (field === 'fraudScore') {
+            value.textContent = request.fraudScore === null || request.fraudScore === undefined ? 'N/A' : `${request.fraudScore}/100`;
+        } else if (field === 'timestamp') {
+            value.textContent = new Date(request.timestamp).toLocaleString();
+        } else if (field === 'redeemKey' && currentRole === 'admin') {
+            value.textContent = request.redeemKey;
+            value.appendChild(createRevealButton(request.id, value));
+        } else {
+            value.textContent = request[field] || 'N/A';
+        }
+        detailFields.append(term, value);
+    }
+
+    // One button per status the request can move to next
+    detailActions.replaceChildren();
+    for (const status of request.allowedTransitions || []) {
+        const action = STATUS_ACTIONS[status];
+        if (!action) continue;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn ${action.className}`;
+        button.textContent = action.label;
+        button.addEventListener('click', () => updateStatus(status));
+        detailActions.appendChild(button);
+    }
+
+    detailActions.style.display = canAction() && detailActions.children.length > 0 ? 'flex' : 'none';
+    detail.style.display = 'block';
+}
+
+async function updateStatus(status) {
+    if (selectedId === null) return;
+    if (!confirm(`Mark request #${selectedId} as ${status}?`)) return;
+
+    // Rejections carry a reason the customer sees on their status page
+    let note = null;
+    if (status === 'REJECTED') {
+        note = prompt('Reason for the rejection (shown to the customer):');
+        if (note === null) return;
+    }
+
+    const buttons = detailActions.querySelectorAll('button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        const data = await apiRequest(`/api/requests/${selectedId}/status`, {
+            method: 'PUT',
+            body: JSON.stringify({ status, note: note ? note.trim() : null })
+        });
+        showMessage(data.message, 'info');
+        await loadRequests();
+    } catch (error) {
+        showMessage(error.message, 'error');
+    } finally {
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.value.trim());
+    tokenInput.value = '';
+    await login();
+});
+
+document.getElementById('logoutBtn').addEventListener('click', logout);
+document.getElementById('refreshBtn').addEventListener('click', () => loadRequests());
+loadMoreBtn.addEventListener('click', () => loadRequests(true));
+statusFilter.addEventListener('change', () => loadRequests());
+searchField.addEventListener('change', () => loadRequests());
+fromDate.addEventListener('change', () => loadRequests());
+toDate.addEventListener('change', () => loadRequests());
+
+// Search once the user stops typing
+searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadRequests(), 300);
+});
+
+document.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+        if (sortField === th.dataset.sort) {
+            sortDirection = sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            sortField = th.dataset.sort;
+            sortDirection = 'asc';
+        }
+        loadRequests();
+    });
+});
+
+// Resume an existing session
+if (sessionStorage.getItem(TOKEN_STORAGE_KEY)) {
+    login();
+}
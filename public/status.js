@@ -0,0 +1,96 @@
+// Refresh interval while the request is still being processed
+const REFRESH_INTERVAL_MS = 15000;
+
+const STATUS_DESCRIPTIONS = {
+    PENDING: 'Your request has been received and is waiting to be processed.',
+    ON_HOLD: 'Your request is waiting for a manual review by our team.',
+    APPROVED: 'Your request has been approved and will be processed shortly.',
+    IN_PROGRESS: 'Our team is working on your request.',
+    FULFILLED: 'Your request has been fulfilled.',
+    REJECTED: 'Your request has been rejected.',
+    REFUNDED: 'Your order has been refunded.',
+    EXPIRED: 'Your request expired before it could be processed.'
+};
+
+// Statuses that can still change, so the page keeps refreshing
+const OPEN_STATUSES = ['PENDING', 'ON_HOLD', 'APPROVED', 'IN_PROGRESS'];
+
+const params = new URLSearchParams(window.location.search);
+const requestId = params.get('id');
+const token = params.get('token');
+
+const subtitle = document.getElementById('subtitle');
+const statusView = document.getElementById('statusView');
+const statusBadge = document.getElementById('statusBadge');
+const statusDescription = document.getElementById('statusDescription');
+const noteContainer = document.getElementById('noteContainer');
+const noteText = document.getElementById('noteText');
+const meta = document.getElementById('meta');
+const errorContainer = document.getElementById('errorContainer');
+
+// Parse a database timestamp (UTC, "YYYY-MM-DD HH:MM:SS")
+function parseTimestamp(timestamp) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z');
+}
+
+function showError(message) {
+    subtitle.textContent = '';
+    statusView.hidden = true;
+    errorContainer.textContent = message;
+    errorContainer.hidden = false;
+}
+
+function renderStatus(request) {
+    subtitle.textContent = `Request #${request.id}${request.orderId ? ` • Order ${request.orderId}` : ''}`;
+    statusBadge.textContent = request.status;
+    statusBadge.className = `status status-${request.status}`;
+    statusDescription.textContent = STATUS_DESCRIPTIONS[request.status] || '';
+
+    noteText.textContent = request.staffNote || '';
+    noteContainer.hidden = !request.staffNote;
+
+    const lines = [`Submitted ${parseTimestamp(request.submittedAt).toLocaleString()}`];
+    if (request.updatedAt) {
+        lines.push(`Last updated ${parseTimestamp(request.updatedAt).toLocaleString()}`);
+    }
+    if (OPEN_STATUSES.includes(request.status)) {
+        lines.push('This page refreshes automatically.');
+    }
+    meta.textContent = lines.join(' • ');
+
+    errorContainer.hidden = true;
+    statusView.hidden = false;
+}
+
+async function loadStatus() {
+    try {
+        const response = await fetch(`/api/requests/${encodeURIComponent(requestId)}/status`, {
+            headers: { 'X-Tracking-Token': token }
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            showError(data.message === 'Request not found'
+                ? 'We could not find this request. Please check the link you received.'
+                : (data.message || data.error || 'Could not load the request status.'));
+            return;
+        }
+
+        renderStatus(data.request);
+
+        // Keep checking until the request has been processed
+        if (OPEN_STATUSES.includes(data.request.status)) {
+            setTimeout(loadStatus, REFRESH_INTERVAL_MS);
+        }
+    } catch (error) {
+        console.error('Status error:', error);
+        showError('Network error. Please check your connection and try again.');
+        setTimeout(loadStatus, REFRESH_INTERVAL_MS);
+    }
+}
+
+if (!requestId || !token) {
+    showError('This link is incomplete. Please use the tracking link you received after submitting your request.');
+} else {
+    loadStatus();
+}
@@ -0,0 +1,89 @@
+// API token authentication and role checks for the admin endpoints
+const crypto = require('crypto');
+const database = require('./database');
+const { maskKey } = require('./keys');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Check whether a role grants at least the required role
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole) && ROLES.includes(role);
+}
+
+// Generate a new random API token
+function generateToken() {
+  return `rp_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Hash a token for storage and lookup
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create and store a token, returning the plaintext token once
+async function createToken(name, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}". Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const token = generateToken();
+  const id = await database.createApiToken(name, hashToken(token), role);
+  return { id, name, role, token };
+}
+
+// Middleware requiring a valid bearer token with at least the given role
+function requireRole(requiredRole) {
+  return async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || '';
+      const match = header.match(/^Bearer\s+(\S+)$/i);
+
+      if (!match) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const apiToken = await database.getApiTokenByHash(hashToken(match[1]));
+      if (!apiToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked API token'
+        });
+      }
+
+      if (!hasRole(apiToken.role, requiredRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `This action requires the ${requiredRole} role`
+        });
+      }
+
+      req.auth = { id: apiToken.id, name: apiToken.name, role: apiToken.role };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Mask the redeem key of a request for API responses. The full key is only
+// shown through GET /api/requests/:id/key. The tracking token opens the customer
+// status page, so it is left out.
+function redactRequest(request) {
+  if (!request) return request;
+
+  const { trackingToken, redeemKeyHash, ...rest } = request;
+  return 'redeemKey' in rest ? { ...rest, redeemKey: maskKey(rest.redeemKey) } : rest;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashToken,
+  createToken,
+  requireRole,
+  redactRequest,
+};
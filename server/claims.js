@@ -0,0 +1,23 @@
+// Request claims: a staff member takes a request so nobody else acts on it at the same time
+
+// Stable key for the staff member behind an actor ({ type, id, name })
+function getAssigneeKey(actor) {
+  if (actor.type === 'api_token') return `token:${actor.id}`;
+  return `${actor.type}:${actor.id}`;
+}
+
+function isClaimedBy(request, actor) {
+  return !!request.assignedTo && request.assignedTo === getAssigneeKey(actor);
+}
+
+// Check that an actor may change a request. Returns null when allowed, otherwise a message.
+function checkClaim(request, actor) {
+  if (!request.assignedTo || isClaimedBy(request, actor)) return null;
+  return `This request is claimed by ${request.assignedToName}. Take it over before changing it.`;
+}
+
+module.exports = {
+  getAssigneeKey,
+  isClaimedBy,
+  checkClaim,
+};
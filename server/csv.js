@@ -0,0 +1,90 @@
+// Minimal CSV helpers used by the key CLI and exports
+
+// Characters that make spreadsheets read a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Quote a single CSV value when needed. Values that would start a formula get a leading ',
+// so a customer's name or note cannot run as one when staff open the file in a spreadsheet.
+function escapeCSVValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let str = String(value);
+  if (FORMULA_PREFIXES.includes(str[0])) {
+    str = `'${str}`;
+  }
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// Convert an array of objects to CSV text with the given columns as header
+function toCSV(rows, columns) {
+  const lines = [columns.map(escapeCSVValue).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCSVValue(row[column])).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Parse CSV text into an array of objects keyed by the header row
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(column => column.trim());
+  return nonEmpty.slice(1).map(values => {
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = (values[index] || '').trim();
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  escapeCSVValue,
+  toCSV,
+  parseCSV,
+};
@@ -1,236 +1,799 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
-
-// Ensure data directory exists
-const dataDir = path.dirname(process.env.DATABASE_PATH || './data/redeem.db');
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
+const crypto = require('crypto');
+const { getAssigneeKey } = require('./claims');
+const { loadEncryptionKeys, encryptKey, decryptKey, hashKey } = require('./encryption');
+const { KEY_STATES, REDEEM_RESULTS, checkKeyRedeemable } = require('./keys');
+const { runMigrations } = require('./migrator');
+const { REQUEST_STATUSES } = require('./status');
+
+// DATABASE_URL selects Postgres, otherwise the SQLite file at DATABASE_PATH is used.
+// Drivers are loaded on demand so each deployment only needs its own database package.
+function createDriver() {
+  if (process.env.DATABASE_URL) {
+    const PostgresDriver = require('./drivers/postgres');
+    return new PostgresDriver(process.env.DATABASE_URL);
+  }
+
+  const SqliteDriver = require('./drivers/sqlite');
+  return new SqliteDriver(process.env.DATABASE_PATH || './data/redeem.db');
+}
+
+// Format a time like CURRENT_TIMESTAMP does (UTC, 'YYYY-MM-DD HH:MM:SS') for comparisons in SQL
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Escape % and _ in a LIKE pattern (used with ESCAPE '\')
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
 }
 
+// Decrypt the redeem key of a request or inventory row and leave out its lookup hash
+function decryptRow(row) {
+  if (!row) return row;
+
+  const { redeemKeyHash, ...rest } = row;
+  if ('redeemKey' in rest) rest.redeemKey = decryptKey(rest.redeemKey);
+  return rest;
+}
+
+// WHERE conditions for request filters. assignedTo null means unclaimed.
+// Text filters match case-insensitively anywhere in the value.
+function buildRequestFilters({ assignedTo, statuses, from, to, name, invite, ipAddress, orderId } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (assignedTo === null) {
+    conditions.push('assignedTo IS NULL');
+  } else if (assignedTo !== undefined) {
+    conditions.push('assignedTo = ?');
+    params.push(assignedTo);
+  }
+  if (statuses && statuses.length > 0) {
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (from) {
+    conditions.push('timestamp >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('timestamp <= ?');
+    params.push(to);
+  }
+  if (name) {
+    conditions.push("LOWER(name) LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(name.toLowerCase())}%`);
+  }
+  if (invite) {
+    conditions.push("LOWER(inviteLink) LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(invite.toLowerCase())}%`);
+  }
+  if (ipAddress) {
+    conditions.push('ipAddress = ?');
+    params.push(ipAddress);
+  }
+  if (orderId) {
+    conditions.push('orderId = ?');
+    params.push(orderId);
+  }
+
+  return { conditions, params };
+}
+
+// Repository over the storage driver. Queries are written once and run on SQLite and Postgres;
+// a driver provides run, insert, get, all, exec, transaction, isUniqueViolation and close.
 class Database {
   constructor() {
-    this.db = null;
-  }
-
-  // Initialize database connection and create tables
-  async init() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(
-        process.env.DATABASE_PATH || './data/redeem.db',
-        (err) => {
-          if (err) {
-            console.error('Error opening database:', err);
-            reject(err);
-          } else {
-            console.log('Connected to SQLite database');
-            this.createTables()
-              .then(() => resolve())
-              .catch(reject);
-          }
-        }
-      );
-    });
-  }
-
-  // Create necessary tables
-  async createTables() {
-    return new Promise((resolve, reject) => {
-      const createRedeemRequestsTable = `
-        CREATE TABLE IF NOT EXISTS redeem_requests (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name TEXT NOT NULL,
-          redeemKey TEXT UNIQUE NOT NULL,
-          inviteLink TEXT NOT NULL,
-          email TEXT NOT NULL,
-          status TEXT NOT NULL DEFAULT 'PENDING',
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          ipAddress TEXT,
-          userAgent TEXT,
-          orderId TEXT
-        )
-      `;
-
-      const createUsedKeysTable = `
-        CREATE TABLE IF NOT EXISTS used_keys (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          redeemKey TEXT UNIQUE NOT NULL,
-          usedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `;
-
-      this.db.run(createRedeemRequestsTable, (err) => {
-        if (err) {
-          console.error('Error creating redeem_requests table:', err);
-          reject(err);
-          return;
-        }
+    this.driver = null;
+  }
 
-        this.db.run(createUsedKeysTable, (err) => {
-          if (err) {
-            console.error('Error creating used_keys table:', err);
-            reject(err);
-          } else {
-            console.log('Database tables created successfully');
-            resolve();
-          }
-        });
-      });
-    });
+  // 'sqlite' or 'postgres', for migrations that need dialect-specific SQL
+  get dialect() {
+    return this.driver.dialect;
+  }
+
+  // Initialize database connection and bring the schema up to date.
+  // Pass { migrate: false } to only connect, e.g. to inspect migration status,
+  // and { driver } to use that driver instead of the one from the environment (tests).
+  async init({ migrate = true, driver = null } = {}) {
+    // Fail before connecting when KEY_ENCRYPTION_KEY is missing
+    loadEncryptionKeys();
+
+    this.driver = driver || createDriver();
+    await this.driver.open();
+
+    if (migrate) {
+      await runMigrations(this);
+    }
+  }
+
+  // Run a statement. Resolves { changes }.
+  run(sql, params = []) {
+    return this.driver.run(sql, params);
+  }
+
+  // Run an INSERT and resolve the ID of the new row
+  insert(sql, params = []) {
+    return this.driver.insert(sql, params);
+  }
+
+  // Get the first row of a query, or undefined
+  get(sql, params = []) {
+    return this.driver.get(sql, params);
+  }
+
+  // Get all rows of a query
+  all(sql, params = []) {
+    return this.driver.all(sql, params);
+  }
+
+  // Run one or more statements without parameters or results (migrations)
+  exec(sql) {
+    return this.driver.exec(sql);
+  }
+
+  // Whether an error was caused by a UNIQUE constraint, e.g. a key that already exists
+  isUniqueViolation(error) {
+    return this.driver.isUniqueViolation(error);
   }
 
   // Check if a redeem key is already used
   async isKeyUsed(redeemKey) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT redeemKey FROM used_keys WHERE redeemKey = ?',
-        [redeemKey],
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(!!row);
-          }
-        }
-      );
-    });
+    const row = await this.get('SELECT id FROM used_keys WHERE redeemKeyHash = ?', [hashKey(redeemKey)]);
+    return !!row;
   }
 
   // Mark a key as used
   async markKeyAsUsed(redeemKey) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'INSERT INTO used_keys (redeemKey) VALUES (?)',
-        [redeemKey],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(this.lastID);
-          }
-        }
-      );
-    });
+    return this.insert(
+      'INSERT INTO used_keys (redeemKey, redeemKeyHash) VALUES (?, ?)',
+      [encryptKey(redeemKey), hashKey(redeemKey)]
+    );
   }
 
-  // Create a new redeem request
-  async createRequest(requestData) {
-    return new Promise((resolve, reject) => {
-      const { name, redeemKey, inviteLink, email, ipAddress, userAgent } = requestData;
-      
-      this.db.run(
-        `INSERT INTO redeem_requests 
-         (name, redeemKey, inviteLink, email, ipAddress, userAgent) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [name, redeemKey, inviteLink, email, ipAddress, userAgent],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(this.lastID);
-          }
+  // Get a key from the inventory
+  async getKey(redeemKey) {
+    return decryptRow(await this.get('SELECT * FROM keys WHERE redeemKeyHash = ?', [hashKey(redeemKey)]));
+  }
+
+  // Add a key to the inventory
+  async createKey(keyData) {
+    const { redeemKey, product, batch = null, state = 'ISSUED', expiresAt = null } = keyData;
+
+    return this.insert(
+      'INSERT INTO keys (redeemKey, redeemKeyHash, product, batch, state, expiresAt) VALUES (?, ?, ?, ?, ?, ?)',
+      [encryptKey(redeemKey), hashKey(redeemKey), product, batch, state, expiresAt]
+    );
+  }
+
+  // Get a key from the inventory by ID
+  async getKeyById(id) {
+    return decryptRow(await this.get('SELECT * FROM keys WHERE id = ?', [id]));
+  }
+
+  // List inventory keys, optionally filtered by states, product and batch
+  async getKeys({ states, product, batch } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (states && states.length > 0) {
+      conditions.push(`state IN (${states.map(() => '?').join(', ')})`);
+      params.push(...states);
+    }
+    if (product) {
+      conditions.push('product = ?');
+      params.push(product);
+    }
+    if (batch) {
+      conditions.push('batch = ?');
+      params.push(batch);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = await this.all(`SELECT * FROM keys ${where} ORDER BY createdAt ASC, id ASC`, params);
+    return rows.map(decryptRow);
+  }
+
+  // Update the state of a key in the inventory
+  async updateKeyState(redeemKey, state) {
+    const redeemedAt = state === KEY_STATES.REDEEMED ? 'CURRENT_TIMESTAMP' : 'redeemedAt';
+    const { changes } = await this.run(
+      `UPDATE keys SET state = ?, redeemedAt = ${redeemedAt} WHERE redeemKeyHash = ?`,
+      [state, hashKey(redeemKey)]
+    );
+    return changes;
+  }
+
+  // Store a new API token (only the hash of the token is kept)
+  async createApiToken(name, tokenHash, role) {
+    return this.insert(
+      'INSERT INTO api_tokens (name, tokenHash, role) VALUES (?, ?, ?)',
+      [name, tokenHash, role]
+    );
+  }
+
+  // Find an active API token by its hash and record that it was used
+  async getApiTokenByHash(tokenHash) {
+    const row = await this.get('SELECT * FROM api_tokens WHERE tokenHash = ? AND revokedAt IS NULL', [tokenHash]);
+
+    if (row) {
+      this.run('UPDATE api_tokens SET lastUsedAt = CURRENT_TIMESTAMP WHERE id = ?', [row.id]).catch(error => {
+        console.error('Error recording API token use:', error);
+      });
+    }
+    return row;
+  }
+
+  // List API tokens without their hashes
+  async getApiTokens() {
+    return this.all('SELECT id, name, role, createdAt, lastUsedAt, revokedAt FROM api_tokens ORDER BY id ASC');
+  }
+
+  // Revoke an API token
+  async revokeApiToken(id) {
+    const { changes } = await this.run(
+      'UPDATE api_tokens SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND revokedAt IS NULL',
+      [id]
+    );
+    return changes;
+  }
+
+  // Run fn inside a write transaction. Only one write transaction runs at a time,
+  // so other processes wait instead of reading the same state and racing.
+  async withTransaction(fn) {
+    return this.driver.transaction(fn);
+  }
+
+  // Check the key, create the request and mark the key as used in one transaction,
+  // so only one of several concurrent submissions of a key can win.
+  // Returns { result, requestId } for claimed requests, otherwise { result, message }.
+  async claimKeyAndCreateRequest(requestData) {
+    const { redeemKey } = requestData;
+
+    try {
+      return await this.withTransaction(async () => {
+        const key = await this.getKey(redeemKey);
+
+        if (await this.isKeyUsed(redeemKey) || (key && key.state === KEY_STATES.REDEEMED)) {
+          return { result: REDEEM_RESULTS.ALREADY_USED, message: 'This redeem key has already been used.' };
         }
-      );
-    });
-  }
-
-  // Get all requests
-  async getAllRequests() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT * FROM redeem_requests ORDER BY timestamp DESC',
-        [],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
+
+        const keyError = checkKeyRedeemable(key);
+        if (keyError) {
+          const notFound = !key || key.state === KEY_STATES.UNISSUED;
+          return { result: notFound ? REDEEM_RESULTS.NOT_FOUND : REDEEM_RESULTS.UNAVAILABLE, message: keyError };
         }
-      );
-    });
+
+        const requestId = await this.createRequest(requestData);
+        await this.markKeyAsUsed(redeemKey);
+        await this.updateKeyState(redeemKey, KEY_STATES.REDEEMED);
+
+        return { result: REDEEM_RESULTS.CLAIMED, requestId };
+      });
+    } catch (error) {
+      if (!this.isUniqueViolation(error)) throw error;
+
+      // Another submission for the same order got in first
+      if (error.message.includes('orderId')) {
+        return { result: REDEEM_RESULTS.ORDER_ALREADY_REDEEMED, message: 'This order has already been redeemed.' };
+      }
+      // Or for the same key
+      if (error.message.includes('redeemKey')) {
+        return { result: REDEEM_RESULTS.ALREADY_USED, message: 'This redeem key has already been used.' };
+      }
+      throw error;
+    }
+  }
+
+  // Create a new redeem request. invite holds the server details resolved from the invite link
+  // ({ guildId, guildName, memberCount, expiresAt }), or null when it was not looked up.
+  // status, staffNote, fraudScore and fraudReasons come from the fraud checks (see scoring.js).
+  async createRequest(requestData) {
+    const {
+      name, redeemKey, inviteLink, email, ipAddress = null, userAgent = null,
+      source = 'web', discordUserId = null, orderId = null, invite = null,
+      status = REQUEST_STATUSES.PENDING, staffNote = null, fraudScore = null, fraudReasons = null
+    } = requestData;
+
+    // Unguessable token the customer uses to check the status of their request
+    const trackingToken = crypto.randomBytes(24).toString('base64url');
+    const { guildId = null, guildName = null, memberCount = null, expiresAt = null } = invite || {};
+
+    return this.insert(
+      `INSERT INTO redeem_requests 
+       (name, redeemKey, redeemKeyHash, inviteLink, email, ipAddress, userAgent, source, discordUserId, orderId, trackingToken,
+        inviteGuildId, inviteGuildName, inviteMemberCount, inviteExpiresAt, inviteVerifiedAt,
+        status, staffNote, fraudScore, fraudReasons) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${invite ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?, ?, ?, ?)`,
+      [
+        name, encryptKey(redeemKey), hashKey(redeemKey), inviteLink, email, ipAddress, userAgent,
+        source, discordUserId, orderId, trackingToken, guildId, guildName, memberCount, expiresAt,
+        status, staffNote, fraudScore, fraudReasons
+      ]
+    );
+  }
+
+  // Import a request from the legacy JSON storage, keeping its status and timestamp
+  async importRequest(requestData) {
+    const { name, redeemKey, inviteLink, email, status, timestamp, discordUserId } = requestData;
+
+    return this.insert(
+      `INSERT INTO redeem_requests
+       (name, redeemKey, redeemKeyHash, inviteLink, email, status, timestamp, source, discordUserId)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'discord', ?)`,
+      [name, encryptKey(redeemKey), hashKey(redeemKey), inviteLink, email, status, timestamp, discordUserId]
+    );
+  }
+
+  // Get all requests, optionally filtered (see buildRequestFilters)
+  // Pass assignedTo to only get the requests claimed by that staff member, or null for unclaimed ones
+  async getAllRequests(filters = {}) {
+    const { conditions, params } = buildRequestFilters(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = await this.all(`SELECT * FROM redeem_requests ${where} ORDER BY timestamp DESC`, params);
+    return rows.map(decryptRow);
+  }
+
+  // Get one page of requests matching filters (see buildRequestFilters), ordered by sort and then ID.
+  // after is the { value, id } of the last request on the previous page. fields limits the columns;
+  // id and the sort column are always included. Returns { requests, hasMore }.
+  async searchRequests({ filters = {}, sort = 'timestamp', order = 'desc', limit = 50, after = null, fields = null } = {}) {
+    const { conditions, params } = buildRequestFilters(filters);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const comparison = order === 'asc' ? '>' : '<';
+
+    if (after) {
+      if (sort === 'id') {
+        conditions.push(`id ${comparison} ?`);
+        params.push(after.id);
+      } else {
+        conditions.push(`(${sort} ${comparison} ? OR (${sort} = ? AND id ${comparison} ?))`);
+        params.push(after.value, after.value, after.id);
+      }
+    }
+
+    const columns = fields ? [...new Set(['id', sort, ...fields])].join(', ') : '*';
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // One extra row tells whether there is another page
+    const rows = await this.all(
+      `SELECT ${columns} FROM redeem_requests ${where}
+       ORDER BY ${sort} ${direction}, id ${direction} LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    return { requests: rows.slice(0, limit).map(decryptRow), hasMore: rows.length > limit };
+  }
+
+  // Count requests matching filters per status, including statuses with none
+  async countRequestsByStatus(filters = {}) {
+    const { conditions, params } = buildRequestFilters(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = await this.all(`SELECT status, COUNT(*) AS count FROM redeem_requests ${where} GROUP BY status`, params);
+
+    const counts = Object.fromEntries(Object.keys(REQUEST_STATUSES).map(status => [status, 0]));
+    for (const row of rows) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  // Count requests matching filters per day they were submitted, oldest day first
+  async countRequestsPerDay(filters = {}) {
+    const { conditions, params } = buildRequestFilters(filters);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return this.all(
+      `SELECT SUBSTR(CAST(timestamp AS TEXT), 1, 10) AS day, COUNT(*) AS count
+       FROM redeem_requests ${where}
+       GROUP BY day ORDER BY day ASC`,
+      params
+    );
+  }
+
+  // Get the first decision staff made on each request (moving it out of PENDING or ON_HOLD), made between from and to.
+  // Each row has the decision's actor and new status, when it was made and when the request was submitted.
+  async getDecisionEvents({ from, to } = {}) {
+    const conditions = [
+      "e.action = 'status_changed'",
+      "e.oldStatus IN ('PENDING', 'ON_HOLD')",
+      "e.newStatus <> 'PENDING'",
+      "e.actorType <> 'system'"
+    ];
+    const params = [];
+
+    if (from) {
+      conditions.push('e.createdAt >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('e.createdAt <= ?');
+      params.push(to);
+    }
+
+    return this.all(
+      `SELECT e.requestId, e.actorType, e.actorId, e.actorName, e.newStatus, e.createdAt, r.timestamp AS submittedAt
+       FROM audit_events e JOIN redeem_requests r ON r.id = e.requestId
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY e.createdAt ASC, e.id ASC`,
+      params
+    );
+  }
+
+  // Count keys redeemed between from and to per product and batch
+  async countRedeemedKeys({ from, to } = {}) {
+    const conditions = ["state = 'REDEEMED'"];
+    const params = [];
+
+    if (from) {
+      conditions.push('redeemedAt >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('redeemedAt <= ?');
+      params.push(to);
+    }
+
+    return this.all(
+      `SELECT product, batch, COUNT(*) AS count FROM keys
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY product, batch ORDER BY product ASC, batch ASC`,
+      params
+    );
   }
 
   // Get request by ID
   async getRequestById(id) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM redeem_requests WHERE id = ?',
-        [id],
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row);
-          }
-        }
-      );
-    });
-  }
-
-  // Update request status
-  async updateRequestStatus(id, status) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'UPDATE redeem_requests SET status = ? WHERE id = ?',
-        [status, id],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(this.changes);
-          }
-        }
-      );
-    });
+    return decryptRow(await this.get('SELECT * FROM redeem_requests WHERE id = ?', [id]));
+  }
+
+  // Get the requests for an order ID
+  async getRequestsByOrderId(orderId) {
+    const rows = await this.all('SELECT * FROM redeem_requests WHERE orderId = ? ORDER BY timestamp DESC', [orderId]);
+    return rows.map(decryptRow);
+  }
+
+  // Update request status, with an optional note shown to the customer.
+  // The change is recorded in the audit log with the actor ({ type, id, name }) who made it.
+  // Returns 0 when the request does not exist or its status changed since it was read.
+  async updateRequestStatus(id, status, staffNote = null, actor = null) {
+    const request = await this.getRequestById(id);
+    if (!request) return 0;
+
+    const { changes } = await this.run(
+      `UPDATE redeem_requests SET status = ?, staffNote = ?, statusUpdatedAt = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ?`,
+      [status, staffNote, id, request.status]
+    );
+
+    if (changes > 0) {
+      await this.createAuditEvent({
+        requestId: request.id,
+        action: 'status_changed',
+        actor,
+        oldStatus: request.status,
+        newStatus: status,
+        reason: staffNote
+      });
+    }
+
+    return changes;
+  }
+
+  // Assign a request to the staff member behind an actor. A request claimed by someone
+  // else is only taken over with force. Returns 0 when the request is missing or claimed by someone else.
+  async claimRequest(id, actor, force = false) {
+    const assignee = getAssigneeKey(actor);
+    const request = await this.getRequestById(id);
+    if (!request) return 0;
+    if (request.assignedTo === assignee) return 1;
+
+    const { changes } = await this.run(
+      `UPDATE redeem_requests SET assignedTo = ?, assignedToName = ?, assignedAt = CURRENT_TIMESTAMP
+       WHERE id = ? AND (assignedTo IS NULL OR ? = 1)`,
+      [assignee, actor.name, id, force ? 1 : 0]
+    );
+
+    if (changes > 0) {
+      await this.createAuditEvent({
+        requestId: request.id,
+        action: request.assignedTo ? 'taken_over' : 'claimed',
+        actor,
+        reason: request.assignedTo ? `Taken over from ${request.assignedToName}` : null
+      });
+    }
+
+    return changes;
+  }
+
+  // Release a claim. Only the assignee can unclaim unless force is set.
+  // Returns 0 when the request is missing, unclaimed or claimed by someone else.
+  async unclaimRequest(id, actor, force = false) {
+    const assignee = getAssigneeKey(actor);
+    const request = await this.getRequestById(id);
+    if (!request) return 0;
+
+    const { changes } = await this.run(
+      `UPDATE redeem_requests SET assignedTo = NULL, assignedToName = NULL, assignedAt = NULL
+       WHERE id = ? AND assignedTo IS NOT NULL AND (assignedTo = ? OR ? = 1)`,
+      [id, assignee, force ? 1 : 0]
+    );
+
+    if (changes > 0) {
+      await this.createAuditEvent({
+        requestId: request.id,
+        action: 'unclaimed',
+        actor,
+        reason: request.assignedTo !== assignee ? `Released claim of ${request.assignedToName}` : null
+      });
+    }
+
+    return changes;
+  }
+
+  // Make a request's key redeemable again: it leaves used_keys and returns to ISSUED in the inventory.
+  // Returns 0 when the request does not exist or its key was already released.
+  async releaseRequestKey(id, actor = null) {
+    const request = await this.getRequestById(id);
+    if (!request) return 0;
+
+    const { changes } = await this.run(
+      'UPDATE redeem_requests SET keyReleasedAt = CURRENT_TIMESTAMP WHERE id = ? AND keyReleasedAt IS NULL',
+      [id]
+    );
+    if (changes === 0) return 0;
+
+    const redeemKeyHash = hashKey(request.redeemKey);
+    await this.run('DELETE FROM used_keys WHERE redeemKeyHash = ?', [redeemKeyHash]);
+    await this.run(
+      "UPDATE keys SET state = 'ISSUED', redeemedAt = NULL WHERE redeemKeyHash = ? AND state = 'REDEEMED'",
+      [redeemKeyHash]
+    );
+
+    await this.createAuditEvent({ requestId: request.id, action: 'key_released', actor });
+    return changes;
+  }
+
+  // Get PENDING and ON_HOLD requests that were last submitted or moved more than the given number of hours ago
+  async getStaleRequests(hours) {
+    const cutoff = toSqlTimestamp(new Date(Date.now() - hours * 60 * 60 * 1000));
+
+    const rows = await this.all(
+      `SELECT * FROM redeem_requests
+       WHERE status IN ('PENDING', 'ON_HOLD') AND COALESCE(statusUpdatedAt, timestamp) <= ?
+       ORDER BY timestamp ASC`,
+      [cutoff]
+    );
+    return rows.map(decryptRow);
+  }
+
+  // Record an action taken on a request. Actions without an actor are recorded as 'system'.
+  async createAuditEvent({ requestId, action, actor = null, oldStatus = null, newStatus = null, reason = null }) {
+    const { type = 'system', id = null, name = null } = actor || {};
+
+    return this.insert(
+      `INSERT INTO audit_events
+       (requestId, action, actorType, actorId, actorName, oldStatus, newStatus, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [requestId, action, type, id === null ? null : String(id), name, oldStatus, newStatus, reason]
+    );
+  }
+
+  // Count an actor's audit log entries of an action made since a time
+  async countActorEvents(action, actor, since) {
+    const row = await this.get(
+      `SELECT COUNT(*) AS count FROM audit_events
+       WHERE action = ? AND actorType = ? AND actorId = ? AND createdAt >= ?`,
+      [action, actor.type, String(actor.id), toSqlTimestamp(since)]
+    );
+    return row.count;
+  }
+
+  // Get the audit log for a request, oldest first
+  async getAuditEvents(requestId) {
+    return this.all('SELECT * FROM audit_events WHERE requestId = ? ORDER BY createdAt ASC, id ASC', [requestId]);
+  }
+
+  // Store (or clear, with nulls) the Discord message that shows a request
+  async setRequestMessage(id, channelId, messageId) {
+    const { changes } = await this.run(
+      'UPDATE redeem_requests SET discordChannelId = ?, discordMessageId = ? WHERE id = ?',
+      [channelId, messageId, id]
+    );
+    return changes;
   }
 
   // Get requests by status
   async getRequestsByStatus(status) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT * FROM redeem_requests WHERE status = ? ORDER BY timestamp DESC',
-        [status],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    const rows = await this.all('SELECT * FROM redeem_requests WHERE status = ? ORDER BY timestamp DESC', [status]);
+    return rows.map(decryptRow);
   }
 
   // Get recent requests from an IP address
   async getRecentRequestsByIP(ipAddress, minutes = 15) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM redeem_requests 
-         WHERE ipAddress = ? AND timestamp > datetime('now', '-${minutes} minutes')
-         ORDER BY timestamp DESC`,
-        [ipAddress],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows);
-          }
-        }
-      );
-    });
+    const cutoff = toSqlTimestamp(new Date(Date.now() - minutes * 60 * 1000));
+
+    const rows = await this.all(
+      `SELECT * FROM redeem_requests 
+       WHERE ipAddress = ? AND timestamp > ?
+       ORDER BY timestamp DESC`,
+      [ipAddress, cutoff]
+    );
+    return rows.map(decryptRow);
+  }
+
+  // Count the requests submitted since a time with the same IP address, invite link and name (ignoring case).
+  // Resolves { ipAddress, inviteLink, name } with a count for each.
+  async countRecentRequests({ ipAddress = null, inviteLink = null, name = null }, since) {
+    return this.get(
+      `SELECT
+         COALESCE(SUM(CASE WHEN ipAddress = ? THEN 1 ELSE 0 END), 0) AS ipAddress,
+         COALESCE(SUM(CASE WHEN inviteLink = ? THEN 1 ELSE 0 END), 0) AS inviteLink,
+         COALESCE(SUM(CASE WHEN LOWER(name) = ? THEN 1 ELSE 0 END), 0) AS name
+       FROM redeem_requests
+       WHERE timestamp > ?`,
+      [ipAddress, inviteLink, name === null ? null : name.toLowerCase(), toSqlTimestamp(since)]
+    );
+  }
+
+  // Record a failed attempt to claim a key. keyPrefixHash groups guesses of the same key (see scoring.js).
+  async createKeyAttempt({ ipAddress = null, discordUserId = null, result, keyPrefixHash = null }) {
+    return this.insert(
+      'INSERT INTO key_attempts (ipAddress, discordUserId, result, keyPrefixHash) VALUES (?, ?, ?, ?)',
+      [ipAddress, discordUserId, result, keyPrefixHash]
+    );
+  }
+
+  // Count failed key attempts from an IP address or Discord user since a time,
+  // optionally only those with a key prefix hash
+  async countFailedKeyAttempts({ ipAddress = null, discordUserId = null, keyPrefixHash = null }, since) {
+    const submitter = [];
+    const params = [];
+
+    if (ipAddress) {
+      submitter.push('ipAddress = ?');
+      params.push(ipAddress);
+    }
+    if (discordUserId) {
+      submitter.push('discordUserId = ?');
+      params.push(discordUserId);
+    }
+    if (submitter.length === 0) return 0;
+
+    const conditions = [`(${submitter.join(' OR ')})`, 'createdAt >= ?'];
+    params.push(toSqlTimestamp(since));
+    if (keyPrefixHash) {
+      conditions.push('keyPrefixHash = ?');
+      params.push(keyPrefixHash);
+    }
+
+    const row = await this.get(`SELECT COUNT(*) AS count FROM key_attempts WHERE ${conditions.join(' AND ')}`, params);
+    return row.count;
+  }
+
+  // Get the IP rules, optionally only those of one type ('block' or 'allow'), oldest first
+  async getIPRules(type = null) {
+    if (type) {
+      return this.all('SELECT * FROM ip_rules WHERE type = ? ORDER BY createdAt ASC, id ASC', [type]);
+    }
+    return this.all('SELECT * FROM ip_rules ORDER BY createdAt ASC, id ASC');
+  }
+
+  async getIPRuleById(id) {
+    return this.get('SELECT * FROM ip_rules WHERE id = ?', [id]);
+  }
+
+  async getIPRuleByCidr(cidr) {
+    return this.get('SELECT * FROM ip_rules WHERE cidr = ?', [cidr]);
+  }
+
+  // Add an IP rule made by an actor ({ type, id, name }). A range can only have one rule.
+  async createIPRule({ cidr, type, reason = null, actor }) {
+    return this.insert(
+      'INSERT INTO ip_rules (cidr, type, reason, actorType, actorId, actorName) VALUES (?, ?, ?, ?, ?, ?)',
+      [cidr, type, reason, actor.type, actor.id === null ? null : String(actor.id), actor.name]
+    );
+  }
+
+  async deleteIPRule(id) {
+    const { changes } = await this.run('DELETE FROM ip_rules WHERE id = ?', [id]);
+    return changes;
+  }
+
+  // Get the time (in ms) of a Discord user's last /redeem request
+  async getUserCooldown(userId) {
+    const row = await this.get('SELECT lastRequestAt FROM cooldowns WHERE userId = ?', [userId]);
+    return row ? row.lastRequestAt : null;
+  }
+
+  // Record a Discord user's /redeem request time (in ms)
+  async setUserCooldown(userId, lastRequestAt = Date.now()) {
+    const { changes } = await this.run(
+      `INSERT INTO cooldowns (userId, lastRequestAt) VALUES (?, ?)
+       ON CONFLICT(userId) DO UPDATE SET lastRequestAt = excluded.lastRequestAt`,
+      [userId, lastRequestAt]
+    );
+    return changes;
+  }
+
+  // Remove cooldowns older than the given period (in ms)
+  async cleanupOldCooldowns(periodMs) {
+    const { changes } = await this.run('DELETE FROM cooldowns WHERE lastRequestAt < ?', [Date.now() - periodMs]);
+    return changes;
+  }
+
+  // Queue a webhook delivery
+  async createWebhookDelivery({ eventId, event, url, payload }) {
+    return this.insert(
+      `INSERT INTO webhook_deliveries (eventId, event, url, payload, nextAttemptAt)
+       VALUES (?, ?, ?, ?, ?)`,
+      [eventId, event, url, payload, Date.now()]
+    );
+  }
+
+  // Get a webhook delivery by ID
+  async getWebhookDelivery(id) {
+    return this.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+  }
+
+  // List webhook deliveries, newest first
+  async getWebhookDeliveries(status = null, limit = 100) {
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status, limit] : [limit];
+
+    return this.all(`SELECT * FROM webhook_deliveries ${where} ORDER BY id DESC LIMIT ?`, params);
+  }
+
+  // Get pending webhook deliveries that are due for an attempt
+  async getDueWebhookDeliveries(limit = 50) {
+    return this.all(
+      `SELECT * FROM webhook_deliveries
+       WHERE status = 'PENDING' AND nextAttemptAt <= ?
+       ORDER BY nextAttemptAt ASC LIMIT ?`,
+      [Date.now(), limit]
+    );
+  }
+
+  // Lease a delivery so only one process attempts it; resolves true if the lease was taken
+  async claimWebhookDelivery(id, expectedNextAttemptAt, leaseUntil) {
+    const { changes } = await this.run(
+      `UPDATE webhook_deliveries SET nextAttemptAt = ?
+       WHERE id = ? AND status = 'PENDING' AND nextAttemptAt = ?`,
+      [leaseUntil, id, expectedNextAttemptAt]
+    );
+    return changes > 0;
+  }
+
+  // Record the outcome of a webhook delivery attempt
+  async recordWebhookAttempt(id, { status, statusCode = null, error = null, nextAttemptAt }) {
+    const deliveredAt = status === 'DELIVERED' ? 'CURRENT_TIMESTAMP' : 'deliveredAt';
+    const { changes } = await this.run(
+      `UPDATE webhook_deliveries SET
+       status = ?, attempts = attempts + 1, lastStatusCode = ?, lastError = ?, nextAttemptAt = ?,
+       deliveredAt = ${deliveredAt}
+       WHERE id = ?`,
+      [status, statusCode, error, nextAttemptAt, id]
+    );
+    return changes;
+  }
+
+  // Put a failed delivery back in the queue
+  async retryWebhookDelivery(id) {
+    const { changes } = await this.run(
+      `UPDATE webhook_deliveries SET status = 'PENDING', attempts = 0, nextAttemptAt = ?
+       WHERE id = ? AND status = 'FAILED'`,
+      [Date.now(), id]
+    );
+    return changes;
   }
 
   // Close database connection
   close() {
-    if (this.db) {
-      this.db.close((err) => {
-        if (err) {
-          console.error('Error closing database:', err);
-        } else {
-          console.log('Database connection closed');
-        }
-      });
+    if (this.driver) {
+      this.driver.close();
     }
   }
 }
@@ -0,0 +1,116 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const pg = require('pg');
+
+// Any constant works, it only has to be the same in every process
+const TRANSACTION_LOCK_ID = 482193;
+
+// Return BIGINT (millisecond times) as numbers and timestamps as the same
+// 'YYYY-MM-DD HH:MM:SS' strings SQLite returns
+const types = {
+  getTypeParser(oid, format) {
+    if (oid === pg.types.builtins.INT8) return value => parseInt(value, 10);
+    if (oid === pg.types.builtins.TIMESTAMP) return value => value;
+    return pg.types.getTypeParser(oid, format);
+  }
+};
+
+// The queries are written for SQLite. Postgres wants $1, $2, ... placeholders, and folds
+// unquoted identifiers to lower case, so the camelCase column names are quoted.
+function toPostgresSql(sql) {
+  let index = 0;
+  return sql
+    .replace(/\?/g, () => `$${++index}`)
+    .replace(/\b([a-z][a-z0-9_]*[A-Z]\w*)\b/g, '"$1"');
+}
+
+// Postgres storage driver, used when DATABASE_URL is set
+class PostgresDriver {
+  constructor(connectionString) {
+    this.dialect = 'postgres';
+    this.connectionString = connectionString;
+    this.pool = null;
+    // Client of the transaction the current async call chain runs in, if any
+    this.transactionClient = new AsyncLocalStorage();
+  }
+
+  async open() {
+    this.pool = new pg.Pool({
+      connectionString: this.connectionString,
+      types,
+      // CURRENT_TIMESTAMP is stored in UTC, like on SQLite
+      options: '-c TimeZone=UTC'
+    });
+    this.pool.on('error', (error) => {
+      console.error('Postgres connection error:', error);
+    });
+
+    await this.pool.query('SELECT 1');
+    console.log('Connected to Postgres database');
+  }
+
+  query(sql, params = []) {
+    const client = this.transactionClient.getStore() || this.pool;
+    return client.query(toPostgresSql(sql), params);
+  }
+
+  // Run a statement. Resolves { changes }.
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    return { changes: result.rowCount };
+  }
+
+  // Run an INSERT and resolve the ID of the new row
+  async insert(sql, params = []) {
+    const result = await this.query(`${sql} RETURNING id`, params);
+    return result.rows[0].id;
+  }
+
+  async get(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.query(sql, params);
+    return result.rows;
+  }
+
+  async exec(sql) {
+    await this.query(sql);
+  }
+
+  // Run fn inside a transaction on its own connection. Like BEGIN IMMEDIATE on SQLite,
+  // an advisory lock lets only one write transaction run at a time across processes.
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [TRANSACTION_LOCK_ID]);
+      const value = await this.transactionClient.run(client, fn);
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(rollbackError => {
+        console.error('Error rolling back transaction:', rollbackError);
+      });
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  isUniqueViolation(error) {
+    return error.code === '23505';
+  }
+
+  close() {
+    if (!this.pool) return;
+
+    this.pool.end()
+      .then(() => console.log('Database connection closed'))
+      .catch(error => console.error('Error closing database:', error));
+  }
+}
+
+module.exports = PostgresDriver;
+module.exports.toPostgresSql = toPostgresSql;
@@ -0,0 +1,132 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+
+// SQLite storage driver (the default). The server and the bots share one database file.
+class SqliteDriver {
+  constructor(filename) {
+    this.dialect = 'sqlite';
+    this.filename = filename;
+    this.db = null;
+    // Statements and transactions share one connection, so they take turns. A statement from
+    // another caller must not run inside an open transaction and be rolled back with it.
+    this.queue = Promise.resolve();
+    // Set while the current async call chain runs inside a transaction
+    this.transactionScope = new AsyncLocalStorage();
+  }
+
+  async open() {
+    // Ensure data directory exists
+    const dataDir = path.dirname(this.filename);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) {
+          console.error('Error opening database:', err);
+          reject(err);
+        } else {
+          console.log('Connected to SQLite database');
+          resolve();
+        }
+      });
+    });
+
+    // The server and the bots share the file, wait for their write locks instead of failing
+    this.db.configure('busyTimeout', 5000);
+  }
+
+  // Run fn once everything queued before it has finished. Inside a transaction, fn runs
+  // right away: the transaction already has its turn.
+  schedule(fn) {
+    if (this.transactionScope.getStore()) return fn();
+
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Run a statement. Resolves { changes }.
+  run(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    }));
+  }
+
+  // Run an INSERT and resolve the ID of the new row
+  insert(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    }));
+  }
+
+  get(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }));
+  }
+
+  all(sql, params = []) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }));
+  }
+
+  exec(sql) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    }));
+  }
+
+  // Run fn inside a write transaction. BEGIN IMMEDIATE takes the write lock up front,
+  // so other processes wait instead of reading the same state and racing. Statements
+  // from outside fn wait until the transaction has committed or rolled back.
+  transaction(fn) {
+    return this.schedule(() => this.transactionScope.run(true, async () => {
+      await this.exec('BEGIN IMMEDIATE');
+      try {
+        const value = await fn();
+        await this.exec('COMMIT');
+        return value;
+      } catch (error) {
+        await this.exec('ROLLBACK').catch(rollbackError => {
+          console.error('Error rolling back transaction:', rollbackError);
+        });
+        throw error;
+      }
+    }));
+  }
+
+  isUniqueViolation(error) {
+    return error.code === 'SQLITE_CONSTRAINT' && error.message.includes('UNIQUE');
+  }
+
+  close() {
+    if (!this.db) return;
+
+    this.db.close((err) => {
+      if (err) {
+        console.error('Error closing database:', err);
+      } else {
+        console.log('Database connection closed');
+      }
+    });
+  }
+}
+
+module.exports = SqliteDriver;
@@ -0,0 +1,71 @@
+// Encryption of redeem keys at rest. Keys are stored encrypted with AES-256-GCM under
+// KEY_ENCRYPTION_KEY, next to a keyed hash that is used to look them up.
+const crypto = require('crypto');
+
+// Prefix of encrypted values, so the format can change later
+const FORMAT_VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let keys = null;
+
+// Read KEY_ENCRYPTION_KEY (32 bytes, as 64 hex characters or base64) and derive
+// the encryption and lookup keys from it. Throws when it is missing or malformed.
+function loadEncryptionKeys() {
+  if (keys) return keys;
+
+  const secret = process.env.KEY_ENCRYPTION_KEY || '';
+  const master = /^[0-9a-fA-F]{64}$/.test(secret) ? Buffer.from(secret, 'hex') : Buffer.from(secret, 'base64');
+
+  if (master.length !== 32) {
+    throw new Error(
+      'KEY_ENCRYPTION_KEY must be set to 32 random bytes, e.g. the output of ' +
+      "node -e \"console.log(require('crypto').randomBytes(32).toString('hex'))\""
+    );
+  }
+
+  keys = {
+    encryption: Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), 'redeem-key-encryption', 32)),
+    lookup: Buffer.from(crypto.hkdfSync('sha256', master, Buffer.alloc(0), 'redeem-key-lookup', 32))
+  };
+  return keys;
+}
+
+// Whether a stored value was produced by encryptKey
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${FORMAT_VERSION}:`);
+}
+
+// Encrypt a redeem key for storage
+function encryptKey(redeemKey) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', loadEncryptionKeys().encryption, iv);
+  const encrypted = Buffer.concat([cipher.update(String(redeemKey), 'utf8'), cipher.final()]);
+
+  return `${FORMAT_VERSION}:${Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url')}`;
+}
+
+// Decrypt a stored redeem key. Throws when it was encrypted with another KEY_ENCRYPTION_KEY.
+function decryptKey(value) {
+  if (!isEncrypted(value)) return value;
+
+  const data = Buffer.from(value.slice(FORMAT_VERSION.length + 1), 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', loadEncryptionKeys().encryption, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+}
+
+// Hash of a redeem key to look it up by. Keyed, so the stored hashes can't be matched
+// against guessed keys without KEY_ENCRYPTION_KEY.
+function hashKey(redeemKey) {
+  return crypto.createHmac('sha256', loadEncryptionKeys().lookup).update(String(redeemKey)).digest('hex');
+}
+
+module.exports = {
+  loadEncryptionKeys,
+  isEncrypted,
+  encryptKey,
+  decryptKey,
+  hashKey,
+};
@@ -0,0 +1,61 @@
+// Expiry of requests that wait for a decision for too long
+const database = require('./database');
+const { shouldReleaseKey } = require('./keys');
+const { emitEvent, serializeRequest } = require('./webhooks');
+
+// Audit log actor for automatic expiry
+const EXPIRY_ACTOR = { type: 'system', id: null, name: 'Auto-expiry' };
+
+// Hours a request may stay PENDING or ON_HOLD, 0 disables expiry
+function getExpiryHours() {
+  return parseFloat(process.env.REQUEST_EXPIRY_HOURS) || 0;
+}
+
+// Expire stale PENDING and ON_HOLD requests, releasing their keys if configured.
+// Calls onExpired(request) for each expired request, e.g. to update its Discord message.
+async function expireStaleRequests(onExpired = async () => {}) {
+  const hours = getExpiryHours();
+  if (hours <= 0) return [];
+
+  const expired = [];
+
+  try {
+    const staleRequests = await database.getStaleRequests(hours);
+
+    for (const request of staleRequests) {
+      // Skip requests that were handled since they were loaded
+      const changes = await database.updateRequestStatus(request.id, 'EXPIRED', null, EXPIRY_ACTOR);
+      if (changes === 0) continue;
+
+      if (shouldReleaseKey('EXPIRED')) {
+        await database.releaseRequestKey(request.id, EXPIRY_ACTOR);
+      }
+
+      const updated = await database.getRequestById(request.id);
+      expired.push(updated);
+      console.log(`Request #${request.id} expired after ${hours} hour(s) ${request.status}`);
+
+      emitEvent('request.expired', { request: serializeRequest(updated), actor: EXPIRY_ACTOR });
+      await onExpired(updated);
+    }
+  } catch (error) {
+    console.error('Error expiring stale requests:', error);
+  }
+
+  return expired;
+}
+
+// Periodically expire stale requests in long-running processes
+function startExpiryWorker(onExpired, intervalMs = 5 * 60 * 1000) {
+  if (getExpiryHours() <= 0) return null;
+
+  expireStaleRequests(onExpired);
+  const timer = setInterval(() => expireStaleRequests(onExpired), intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  expireStaleRequests,
+  startExpiryWorker,
+};
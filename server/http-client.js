@@ -0,0 +1,45 @@
+// Small HTTP client for outgoing JSON requests (no external dependencies)
+const http = require('http');
+const https = require('https');
+
+// Send a request, resolving with the status code and response body
+function sendRequest(url, { method, body = null, headers = {}, timeoutMs = 5000 }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+      method,
+      headers: body === null ? headers : {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data }));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+    req.on('error', reject);
+    req.end(body === null ? undefined : body);
+  });
+}
+
+// POST a raw JSON body to a URL, resolving with the status code and response body
+function postJSON(url, body, headers = {}, timeoutMs = 5000) {
+  return sendRequest(url, { method: 'POST', body, headers, timeoutMs });
+}
+
+// GET a URL, resolving with the status code and response body
+function getJSON(url, headers = {}, timeoutMs = 5000) {
+  return sendRequest(url, { method: 'GET', headers: { Accept: 'application/json', ...headers }, timeoutMs });
+}
+
+module.exports = {
+  postJSON,
+  getJSON,
+};
@@ -3,9 +3,28 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const path = require('path');
+const crypto = require('crypto');
 const database = require('./database');
+const { KEY_STATES, REDEEM_RESULTS, shouldReleaseKey, maskKey, checkKeyChecksum } = require('./keys');
+const { REQUEST_STATUSES, isValidStatus, isFinalStatus, checkTransition, getAllowedTransitions } = require('./status');
+const { getAssigneeKey, checkClaim } = require('./claims');
+const { ROLES, createToken, requireRole, redactRequest } = require('./auth');
+const { REVEAL_RESULTS, revealKey } = require('./reveal');
+const { notifyBot } = require('./notify');
+const { validateOrder } = require('./orders');
+const { parseInviteCode, getInviteResolver, verifyInvite } = require('./invites');
+const { assessSubmission, recordFailedKeyAttempt, recordFraudDecision } = require('./scoring');
+const { getClientIP, normalizeIP, normalizeCIDR } = require('./ip');
+const { IP_RULE_TYPES, IP_RULE_RESULTS, findIPRule, addIPRule, removeIPRule } = require('./ip-rules');
+const {
+  EXPORT_FORMATS, buildRequestExport, getRequestsPerDay, getApprovalRate, getDecisionTimes, getKeysRedeemed
+} = require('./reports');
+const {
+  DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SORT_FIELDS, encodeCursor, decodeCursor, parseFields, parseDateBound
+} = require('./search');
+const { emitEvent, serializeRequest, serializeKey, processDueDeliveries, startWebhookWorker } = require('./webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -13,6 +32,9 @@ const PORT = process.env.PORT || 8080;
 // Initialize database
 database.init().catch(console.error);
 
+// Fail at startup, not on every submission, when INVITE_RESOLVER or INVITE_FIXTURES_PATH is wrong
+getInviteResolver();
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -45,9 +67,24 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  keyGenerator: getClientIP,
+});
+
+// Looser limit for customers checking the status of their request
+const statusLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: {
+    error: 'Too many status checks, please try again later.',
+    retryAfter: 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: getClientIP,
 });
 
-app.use('/api/', limiter);
+// Only the public submission routes are rate limited, admin routes require a token
+app.use(['/api/redeem', '/api/redeem-order'], limiter);
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
@@ -68,22 +105,114 @@ const validateRedeemRequest = [
   
   body('inviteLink')
     .trim()
-    .isURL({ protocols: ['https'], require_protocol: true })
-    .withMessage('Invite link must be a valid HTTPS URL')
-    .matches(/^https:\/\/discord\.gg\/[a-zA-Z0-9]+$/)
-    .withMessage('Invite link must be a valid Discord.gg invite URL'),
+    .custom(link => parseInviteCode(link) !== null)
+    .withMessage('Invite link must be a Discord invite link, e.g. https://discord.gg/abc123'),
 ];
 
-// Helper function to get client IP
-function getClientIP(req) {
-  return req.headers['x-forwarded-for'] || 
-         req.connection.remoteAddress || 
-         req.socket.remoteAddress ||
-         (req.connection.socket ? req.connection.socket.remoteAddress : null);
+// Request as shown to staff, with the statuses it can move to next
+function presentRequest(request) {
+  return {
+    ...redactRequest(request),
+    allowedTransitions: getAllowedTransitions(request.status)
+  };
+}
+
+// Present a search result, limited to the selected fields when there are any
+function presentSearchResult(request, fields) {
+  if (!fields) return presentRequest(request);
+
+  const selected = redactRequest(Object.fromEntries([...new Set(['id', ...fields])].map(field => [field, request[field]])));
+  if ('status' in selected) selected.allowedTransitions = getAllowedTransitions(selected.status);
+  return selected;
+}
+
+// Audit log actor for the API token making a request
+function getTokenActor(req) {
+  return { type: 'api_token', id: req.auth.id, name: req.auth.name };
+}
+
+// Path of the customer status page for a request
+function getTrackingPath(request) {
+  return `/status?id=${request.id}&token=${encodeURIComponent(request.trackingToken)}`;
+}
+
+// Compare a tracking token in constant time
+function isValidTrackingToken(request, token) {
+  if (!request.trackingToken || typeof token !== 'string') return false;
+
+  const expected = Buffer.from(request.trackingToken);
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Turn away submissions from blocklisted IPs before anything is written. The matching
+// rule is kept on req.ipRule, so allowlisted IPs can skip the per-IP request limit.
+async function rejectBlockedIPs(req, res, next) {
+  try {
+    const ipAddress = getClientIP(req);
+    req.ipRule = await findIPRule(ipAddress);
+
+    if (req.ipRule && req.ipRule.type === IP_RULE_TYPES.BLOCK) {
+      console.log(`Blocked submission from ${ipAddress} (IP rule #${req.ipRule.id})`);
+      return res.status(403).json({
+        success: false,
+        message: 'Requests from your network are not accepted.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking IP rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error. Please try again later.'
+    });
+  }
 }
 
+// Whether the IP behind a request is allowlisted
+function isAllowlisted(req) {
+  return !!req.ipRule && req.ipRule.type === IP_RULE_TYPES.ALLOW;
+}
+
+// Respond to a key claim that did not create a request
+function sendClaimError(res, claim) {
+  res.status(claim.result === REDEEM_RESULTS.ORDER_ALREADY_REDEEMED ? 409 : 400).json({
+    success: false,
+    message: claim.message
+  });
+}
+
+// Shown instead of the usual confirmation when the fraud checks held a request
+const HELD_REQUEST_MESSAGE = '⏳ Your request has been received and is waiting for a manual review.';
+
+// Respond to a new request. Requests the fraud checks rejected get a 403 with the rejection note.
+function sendCreatedRequest(res, request, message, extra = {}) {
+  const rejected = request.status === REQUEST_STATUSES.REJECTED;
+  const held = request.status === REQUEST_STATUSES.ON_HOLD;
+
+  res.status(rejected ? 403 : 201).json({
+    success: !rejected,
+    message: rejected ? request.staffNote : held ? HELD_REQUEST_MESSAGE : message,
+    ...extra,
+    requestId: request.id,
+    trackingToken: request.trackingToken,
+    trackingUrl: getTrackingPath(request)
+  });
+}
+
+// Validation for the order ID in /api/redeem-order/:id
+const validateOrderId = [
+  param('id')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Order ID must be between 1 and 100 characters')
+    .matches(/^[a-zA-Z0-9\-_]+$/)
+    .withMessage('Order ID can only contain letters, numbers, hyphens, and underscores'),
+];
+
 // POST /api/redeem-order/:id - Handle redeem requests with ID parameter
-app.post('/api/redeem-order/:id', validateRedeemRequest, async (req, res) => {
+app.post('/api/redeem-order/:id', rejectBlockedIPs, validateOrderId, validateRedeemRequest, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -101,17 +230,35 @@ app.post('/api/redeem-order/:id', validateRedeemRequest, async (req, res) => {
     const ipAddress = getClientIP(req);
     const userAgent = req.headers['user-agent'];
 
-    // Check if redeem key is already used
-    const isKeyUsed = await database.isKeyUsed(redeemKey);
-    if (isKeyUsed) {
+    // Catch mistyped keys before they are looked up or count as failed attempts
+    const checksumError = checkKeyChecksum(redeemKey);
+    if (checksumError) {
       return res.status(400).json({
         success: false,
-        message: 'This redeem key has already been used.'
+        message: checksumError
       });
     }
 
-    // Check for recent requests from this IP (additional rate limiting)
-    const recentRequests = await database.getRecentRequestsByIP(ipAddress, 15);
+    // Check the order against the known orders (when configured)
+    const orderError = validateOrder(orderId, redeemKey);
+    if (orderError) {
+      return res.status(orderError.status).json({
+        success: false,
+        message: orderError.message
+      });
+    }
+
+    // Each order can only be redeemed once, unless the key of its request was released
+    const existingRequests = await database.getRequestsByOrderId(orderId);
+    if (existingRequests.some(request => !request.keyReleasedAt)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has already been redeemed.'
+      });
+    }
+
+    // Check for recent requests from this IP (additional rate limiting, lifted for allowlisted IPs)
+    const recentRequests = isAllowlisted(req) ? [] : await database.getRecentRequestsByIP(ipAddress, 15);
     if (recentRequests.length >= 3) {
       return res.status(429).json({
         success: false,
@@ -119,37 +266,44 @@ app.post('/api/redeem-order/:id', validateRedeemRequest, async (req, res) => {
       });
     }
 
-    // Create redeem request
-    const requestId = await database.createRequest({
-      name,
-      redeemKey,
-      inviteLink,
+    // Turn dead invites away before the key is used up
+    const inviteCheck = await verifyInvite(inviteLink);
+    if (inviteCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: inviteCheck.error
+      });
+    }
+
+    const submission = { name, redeemKey, inviteLink: inviteCheck.inviteLink, ipAddress, userAgent };
+
+    // Score the submission; risky requests start held or rejected
+    const assessment = await assessSubmission(submission);
+
+    // Claim the key and create the redeem request in one transaction
+    const claim = await database.claimKeyAndCreateRequest({
+      ...submission,
+      ...assessment,
+      invite: inviteCheck.invite,
       email,
-      ipAddress,
-      userAgent
+      orderId
     });
+    if (claim.result !== REDEEM_RESULTS.CLAIMED) {
+      await recordFailedKeyAttempt(submission, claim.result);
+      return sendClaimError(res, claim);
+    }
+    const { requestId } = claim;
 
-    // Mark key as used
-    await database.markKeyAsUsed(redeemKey);
+    console.log(`New redeem order created: Order ID ${orderId}, Request ID ${requestId}, Key: ${maskKey(redeemKey)}, Fraud score: ${assessment.fraudScore}`);
 
-    // Get the created request for Discord notification
-    const request = await database.getRequestById(requestId);
+    // Push the request to the Discord bot (it falls back to polling if this fails)
+    notifyBot('request.created', { requestId });
 
-    // Send notification to Discord bot (if bot is running)
-    try {
-      // This will be handled by the Discord bot through database polling or webhook
-      console.log(`New redeem order created: Order ID ${orderId}, Request ID ${requestId}, Key: ${redeemKey}`);
-    } catch (discordError) {
-      console.error('Error notifying Discord bot:', discordError);
-      // Continue even if Discord notification fails
-    }
+    const request = await database.getRequestById(requestId);
+    emitEvent('request.created', { request: serializeRequest(request) });
+    await recordFraudDecision(request);
 
-    res.status(201).json({
-      success: true,
-      message: '✅ Your order has been received. Please wait while we process your redemption.',
-      orderId: orderId,
-      requestId: requestId
-    });
+    sendCreatedRequest(res, request, '✅ Your order has been received. Please wait while we process your redemption.', { orderId });
 
   } catch (error) {
     console.error('Error processing redeem order:', error);
@@ -161,7 +315,7 @@ app.post('/api/redeem-order/:id', validateRedeemRequest, async (req, res) => {
 });
 
 // POST /api/redeem - Handle redeem requests
-app.post('/api/redeem', validateRedeemRequest, async (req, res) => {
+app.post('/api/redeem', rejectBlockedIPs, validateRedeemRequest, async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -178,17 +332,17 @@ app.post('/api/redeem', validateRedeemRequest, async (req, res) => {
     const ipAddress = getClientIP(req);
     const userAgent = req.headers['user-agent'];
 
-    // Check if redeem key is already used
-    const isKeyUsed = await database.isKeyUsed(redeemKey);
-    if (isKeyUsed) {
+    // Catch mistyped keys before they are looked up or count as failed attempts
+    const checksumError = checkKeyChecksum(redeemKey);
+    if (checksumError) {
       return res.status(400).json({
         success: false,
-        message: 'This redeem key has already been used.'
+        message: checksumError
       });
     }
 
-    // Check for recent requests from this IP (additional rate limiting)
-    const recentRequests = await database.getRecentRequestsByIP(ipAddress, 15);
+    // Check for recent requests from this IP (additional rate limiting, lifted for allowlisted IPs)
+    const recentRequests = isAllowlisted(req) ? [] : await database.getRecentRequestsByIP(ipAddress, 15);
     if (recentRequests.length >= 3) {
       return res.status(429).json({
         success: false,
@@ -196,36 +350,43 @@ app.post('/api/redeem', validateRedeemRequest, async (req, res) => {
       });
     }
 
-    // Create redeem request
-    const requestId = await database.createRequest({
-      name,
-      redeemKey,
-      inviteLink,
-      email,
-      ipAddress,
-      userAgent
-    });
+    // Turn dead invites away before the key is used up
+    const inviteCheck = await verifyInvite(inviteLink);
+    if (inviteCheck.error) {
+      return res.status(400).json({
+        success: false,
+        message: inviteCheck.error
+      });
+    }
 
-    // Mark key as used
-    await database.markKeyAsUsed(redeemKey);
+    const submission = { name, redeemKey, inviteLink: inviteCheck.inviteLink, ipAddress, userAgent };
 
-    // Get the created request for Discord notification
-    const request = await database.getRequestById(requestId);
+    // Score the submission; risky requests start held or rejected
+    const assessment = await assessSubmission(submission);
 
-    // Send notification to Discord bot (if bot is running)
-    try {
-      // This will be handled by the Discord bot through database polling or webhook
-      console.log(`New redeem request created: ID ${requestId}, Key: ${redeemKey}`);
-    } catch (discordError) {
-      console.error('Error notifying Discord bot:', discordError);
-      // Continue even if Discord notification fails
+    // Claim the key and create the redeem request in one transaction
+    const claim = await database.claimKeyAndCreateRequest({
+      ...submission,
+      ...assessment,
+      invite: inviteCheck.invite,
+      email
+    });
+    if (claim.result !== REDEEM_RESULTS.CLAIMED) {
+      await recordFailedKeyAttempt(submission, claim.result);
+      return sendClaimError(res, claim);
     }
+    const { requestId } = claim;
 
-    res.status(201).json({
-      success: true,
-      message: '✅ Your request has been received. Please wait while we process your order.',
-      requestId: requestId
-    });
+    console.log(`New redeem request created: ID ${requestId}, Key: ${maskKey(redeemKey)}, Fraud score: ${assessment.fraudScore}`);
+
+    // Push the request to the Discord bot (it falls back to polling if this fails)
+    notifyBot('request.created', { requestId });
+
+    const request = await database.getRequestById(requestId);
+    emitEvent('request.created', { request: serializeRequest(request) });
+    await recordFraudDecision(request);
+
+    sendCreatedRequest(res, request, '✅ Your request has been received. Please wait while we process your order.');
 
   } catch (error) {
     console.error('Error processing redeem request:', error);
@@ -236,13 +397,115 @@ app.post('/api/redeem', validateRedeemRequest, async (req, res) => {
   }
 });
 
-// GET /api/requests - Get all requests (for admin use)
-app.get('/api/requests', async (req, res) => {
+// Validation for the ?status= and ?from=&to= filters of searches and reports
+const validateActivityFilters = [
+  query('status')
+    .optional()
+    .custom(value => String(value).toUpperCase().split(',').every(isValidStatus))
+    .withMessage(`status must be a comma-separated list of: ${Object.keys(REQUEST_STATUSES).join(', ')}`),
+  query(['from', 'to'])
+    .optional()
+    .custom(value => parseDateBound(value) !== null)
+    .withMessage('from and to must be dates, e.g. 2024-06-01 or 2024-06-01T12:00:00Z'),
+];
+
+// Status and date filters from the query string
+function getActivityFilters(req) {
+  return {
+    statuses: req.query.status ? String(req.query.status).toUpperCase().split(',') : undefined,
+    from: req.query.from ? parseDateBound(req.query.from) : undefined,
+    to: req.query.to ? parseDateBound(req.query.to, true) : undefined
+  };
+}
+
+// Validation for the search options of GET /api/requests
+const validateRequestSearch = [
+  ...validateActivityFilters,
+  query(['name', 'invite', 'ip', 'orderId'])
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Search terms must be at most 200 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_SIZE })
+    .withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('sort')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`sort must be one of: ${SORT_FIELDS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('order must be asc or desc'),
+  query('fields')
+    .optional()
+    .custom(value => parseFields(value) !== null)
+    .withMessage('fields must be a comma-separated list of request fields'),
+  query('cursor')
+    .optional()
+    .custom(value => decodeCursor(value) !== null)
+    .withMessage('Invalid cursor'),
+];
+
+// GET /api/requests - Search requests with filters and cursor pagination (for admin use)
+// ?assignedTo=me|none|<assignee> only returns requests claimed by that staff member (or unclaimed ones)
+app.get('/api/requests', requireRole('viewer'), validateRequestSearch, async (req, res) => {
   try {
-    const requests = await database.getAllRequests();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array().map(err => err.msg)
+      });
+    }
+
+    const filters = {
+      ...getActivityFilters(req),
+      name: req.query.name ? String(req.query.name) : undefined,
+      invite: req.query.invite ? String(req.query.invite) : undefined,
+      ipAddress: req.query.ip ? normalizeIP(req.query.ip) || String(req.query.ip) : undefined,
+      orderId: req.query.orderId ? String(req.query.orderId) : undefined
+    };
+    if (req.query.assignedTo === 'me') {
+      filters.assignedTo = getAssigneeKey(getTokenActor(req));
+    } else if (req.query.assignedTo === 'none') {
+      filters.assignedTo = null;
+    } else if (req.query.assignedTo) {
+      filters.assignedTo = String(req.query.assignedTo);
+    }
+
+    const sort = req.query.sort || 'timestamp';
+    const after = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (after && after.sort !== sort) {
+      return res.status(400).json({
+        success: false,
+        message: 'The cursor belongs to a different sort order'
+      });
+    }
+
+    const fields = req.query.fields ? parseFields(req.query.fields) : null;
+    const page = await database.searchRequests({
+      filters,
+      sort,
+      order: req.query.order || 'desc',
+      limit: req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE,
+      after,
+      fields
+    });
+
+    // Counts ignore the status filter, so the dashboard can show a badge for every status
+    const statusCounts = await database.countRequestsByStatus({ ...filters, statuses: undefined });
+    const total = (filters.statuses || Object.keys(statusCounts))
+      .reduce((sum, status) => sum + statusCounts[status], 0);
+
+    const lastRequest = page.requests[page.requests.length - 1];
     res.json({
       success: true,
-      requests: requests
+      requests: page.requests.map(request => presentSearchResult(request, fields)),
+      total,
+      statusCounts,
+      nextCursor: page.hasMore ? encodeCursor(lastRequest, sort) : null
     });
   } catch (error) {
     console.error('Error fetching requests:', error);
@@ -253,13 +516,47 @@ app.get('/api/requests', async (req, res) => {
   }
 });
 
+// GET /api/orders/:orderId - Get the requests for an order
+app.get('/api/orders/:orderId', requireRole('viewer'), async (req, res) => {
+  try {
+    const requests = await database.getRequestsByOrderId(req.params.orderId);
+
+    if (requests.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No requests found for this order'
+      });
+    }
+
+    res.json({
+      success: true,
+      orderId: req.params.orderId,
+      requests: requests.map(redactRequest)
+    });
+  } catch (error) {
+    console.error('Error fetching order requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order requests'
+    });
+  }
+});
+
+// GET /api/auth/me - Get the role of the current API token
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    token: req.auth
+  });
+});
+
 // GET /api/requests/pending - Get pending requests
-app.get('/api/requests/pending', async (req, res) => {
+app.get('/api/requests/pending', requireRole('viewer'), async (req, res) => {
   try {
     const requests = await database.getRequestsByStatus('PENDING');
     res.json({
       success: true,
-      requests: requests
+      requests: requests.map(redactRequest)
     });
   } catch (error) {
     console.error('Error fetching pending requests:', error);
@@ -270,28 +567,191 @@ app.get('/api/requests/pending', async (req, res) => {
   }
 });
 
+// GET /api/requests/:id/status - Customer-facing status, protected by the tracking token
+app.get('/api/requests/:id/status', statusLimiter, async (req, res) => {
+  try {
+    const token = req.query.token || req.headers['x-tracking-token'];
+    const request = await database.getRequestById(req.params.id);
+
+    // Same response for unknown requests and wrong tokens
+    if (!request || !isValidTrackingToken(request, token)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: {
+        id: request.id,
+        status: request.status,
+        staffNote: request.staffNote,
+        orderId: request.orderId,
+        submittedAt: request.timestamp,
+        updatedAt: request.statusUpdatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching request status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request status'
+    });
+  }
+});
+
+// GET /api/requests/:id - Get a single request
+app.get('/api/requests/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const request = await database.getRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: presentRequest(request)
+    });
+  } catch (error) {
+    console.error('Error fetching request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request'
+    });
+  }
+});
+
+// GET /api/requests/:id/key - Reveal the full redeem key of a request. Every reveal is audited.
+app.get('/api/requests/:id/key', requireRole('admin'), async (req, res) => {
+  try {
+    const reveal = await revealKey(req.params.id, getTokenActor(req));
+
+    if (reveal.result !== REVEAL_RESULTS.REVEALED) {
+      return res.status(reveal.result === REVEAL_RESULTS.NOT_FOUND ? 404 : 429).json({
+        success: false,
+        message: reveal.message
+      });
+    }
+
+    res.json({
+      success: true,
+      redeemKey: reveal.request.redeemKey
+    });
+  } catch (error) {
+    console.error('Error revealing key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revealing key'
+    });
+  }
+});
+
+// GET /api/requests/:id/history - Audit log of a request
+app.get('/api/requests/:id/history', requireRole('viewer'), async (req, res) => {
+  try {
+    const request = await database.getRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      requestId: request.id,
+      events: await database.getAuditEvents(request.id)
+    });
+  } catch (error) {
+    console.error('Error fetching request history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching request history'
+    });
+  }
+});
+
 // PUT /api/requests/:id/status - Update request status
-app.put('/api/requests/:id/status', async (req, res) => {
+app.put('/api/requests/:id/status', requireRole('operator'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
 
-    if (!['PENDING', 'APPROVED', 'REJECTED'].includes(status)) {
+    if (!isValidStatus(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be PENDING, APPROVED, or REJECTED.'
+        message: `Invalid status. Must be one of: ${Object.keys(REQUEST_STATUSES).join(', ')}.`
       });
     }
 
-    const changes = await database.updateRequestStatus(id, status);
-    
-    if (changes === 0) {
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be text of at most 500 characters.'
+      });
+    }
+
+    const request = await database.getRequestById(id);
+
+    if (!request) {
       return res.status(404).json({
         success: false,
         message: 'Request not found'
       });
     }
 
+    const transitionError = checkTransition(request.status, status);
+    if (transitionError) {
+      return res.status(409).json({
+        success: false,
+        message: transitionError,
+        status: request.status,
+        allowed: getAllowedTransitions(request.status)
+      });
+    }
+
+    const actor = getTokenActor(req);
+
+    // Only the staff member who claimed the request may change it
+    const claimError = checkClaim(request, actor);
+    if (claimError) {
+      return res.status(409).json({
+        success: false,
+        message: claimError,
+        assignedTo: request.assignedTo,
+        assignedToName: request.assignedToName
+      });
+    }
+
+    const changes = await database.updateRequestStatus(id, status, note ? note.trim() : null, actor);
+
+    // Someone else changed the request in the meantime
+    if (changes === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was updated by someone else. Please reload it and try again.'
+      });
+    }
+
+    // Put the key back into stock if the policy for this status says so
+    if (shouldReleaseKey(status)) {
+      await database.releaseRequestKey(id, actor);
+    }
+
+    // Let the bot update the request's Discord message
+    notifyBot('request.updated', { requestId: parseInt(id), status });
+
+    emitEvent(`request.${status.toLowerCase()}`, {
+      request: serializeRequest(await database.getRequestById(id)),
+      actor
+    });
+
     res.json({
       success: true,
       message: `Request status updated to ${status}`
@@ -306,6 +766,443 @@ app.put('/api/requests/:id/status', async (req, res) => {
   }
 });
 
+// POST /api/requests/:id/claim - Claim a request for the current token. { "force": true } takes it over.
+app.post('/api/requests/:id/claim', requireRole('operator'), async (req, res) => {
+  try {
+    const request = await database.getRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (isFinalStatus(request.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `This request is already ${request.status} and can no longer be claimed.`
+      });
+    }
+
+    const changes = await database.claimRequest(request.id, getTokenActor(req), req.body.force === true);
+
+    if (changes === 0) {
+      const current = await database.getRequestById(request.id);
+      return res.status(409).json({
+        success: false,
+        message: `This request is claimed by ${current.assignedToName}. Send "force": true to take it over.`,
+        assignedTo: current.assignedTo,
+        assignedToName: current.assignedToName
+      });
+    }
+
+    notifyBot('request.updated', { requestId: request.id, status: request.status });
+
+    res.json({
+      success: true,
+      message: `Request #${request.id} claimed by ${req.auth.name}`
+    });
+  } catch (error) {
+    console.error('Error claiming request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error claiming request'
+    });
+  }
+});
+
+// DELETE /api/requests/:id/claim - Release a claim. ?force=true releases someone else's claim.
+app.delete('/api/requests/:id/claim', requireRole('operator'), async (req, res) => {
+  try {
+    const request = await database.getRequestById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    const changes = await database.unclaimRequest(request.id, getTokenActor(req), req.query.force === 'true');
+
+    if (changes === 0) {
+      return res.status(409).json({
+        success: false,
+        message: request.assignedTo
+          ? `This request is claimed by ${request.assignedToName}. Use ?force=true to release it.`
+          : 'This request is not claimed.'
+      });
+    }
+
+    notifyBot('request.updated', { requestId: request.id, status: request.status });
+
+    res.json({
+      success: true,
+      message: `Request #${request.id} unclaimed`
+    });
+  } catch (error) {
+    console.error('Error unclaiming request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unclaiming request'
+    });
+  }
+});
+
+// GET /api/reports/export - Download the requests matching ?status=&from=&to= as ?format=csv|json
+app.get('/api/reports/export', requireRole('viewer'), validateActivityFilters, [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array().map(err => err.msg)
+      });
+    }
+
+    const report = await buildRequestExport(getActivityFilters(req), req.query.format || 'csv');
+
+    res.attachment(report.filename);
+    res.type(report.contentType);
+    res.send(report.content);
+  } catch (error) {
+    console.error('Error exporting requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting requests'
+    });
+  }
+});
+
+// Handler for a summary report over ?from=&to=. build(filters) returns the report fields.
+function reportHandler(build) {
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(err => err.msg)
+        });
+      }
+
+      const filters = getActivityFilters(req);
+      res.json({
+        success: true,
+        from: filters.from || null,
+        to: filters.to || null,
+        ...await build(filters)
+      });
+    } catch (error) {
+      console.error('Error building report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error building report'
+      });
+    }
+  };
+}
+
+// GET /api/reports/requests-per-day - Requests submitted per day
+app.get('/api/reports/requests-per-day', requireRole('viewer'), validateActivityFilters,
+  reportHandler(async filters => ({ days: await getRequestsPerDay(filters) })));
+
+// GET /api/reports/approval-rate - Approved and rejected requests among those submitted in the range
+app.get('/api/reports/approval-rate', requireRole('viewer'), validateActivityFilters,
+  reportHandler(filters => getApprovalRate(filters)));
+
+// GET /api/reports/decision-times - Median time to decision per staff member
+app.get('/api/reports/decision-times', requireRole('viewer'), validateActivityFilters,
+  reportHandler(async filters => ({ staff: await getDecisionTimes(filters) })));
+
+// GET /api/reports/keys-redeemed - Keys redeemed per product and batch
+app.get('/api/reports/keys-redeemed', requireRole('viewer'), validateActivityFilters,
+  reportHandler(async filters => ({ keys: await getKeysRedeemed(filters) })));
+
+// GET /api/keys - List the key inventory
+app.get('/api/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const states = req.query.state ? String(req.query.state).toUpperCase().split(',') : undefined;
+    const keys = await database.getKeys({
+      states,
+      product: req.query.product,
+      batch: req.query.batch
+    });
+
+    res.json({
+      success: true,
+      keys: keys.map(key => ({ ...key, redeemKey: maskKey(key.redeemKey) }))
+    });
+  } catch (error) {
+    console.error('Error fetching keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching keys'
+    });
+  }
+});
+
+// POST /api/keys/:id/revoke - Revoke a key so it can no longer be redeemed
+app.post('/api/keys/:id/revoke', requireRole('admin'), async (req, res) => {
+  try {
+    const key = await database.getKeyById(req.params.id);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'Key not found'
+      });
+    }
+
+    if (key.state === KEY_STATES.REDEEMED) {
+      return res.status(400).json({
+        success: false,
+        message: 'Redeemed keys cannot be revoked'
+      });
+    }
+
+    await database.updateKeyState(key.redeemKey, KEY_STATES.REVOKED);
+    emitEvent('key.revoked', { key: serializeKey({ ...key, state: KEY_STATES.REVOKED }) });
+
+    res.json({
+      success: true,
+      message: `Key #${key.id} revoked`
+    });
+  } catch (error) {
+    console.error('Error revoking key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking key'
+    });
+  }
+});
+
+// GET /api/tokens - List API tokens
+app.get('/api/tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const tokens = await database.getApiTokens();
+    res.json({
+      success: true,
+      tokens: tokens
+    });
+  } catch (error) {
+    console.error('Error fetching tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tokens'
+    });
+  }
+});
+
+// POST /api/tokens - Create an API token
+app.post('/api/tokens', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role } = req.body;
+
+    if (!name || !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Name is required and role must be one of: ${ROLES.join(', ')}.`
+      });
+    }
+
+    const created = await createToken(String(name).trim(), role);
+
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Store it now, it will not be shown again.',
+      ...created
+    });
+  } catch (error) {
+    console.error('Error creating token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating token'
+    });
+  }
+});
+
+// DELETE /api/tokens/:id - Revoke an API token
+app.delete('/api/tokens/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const changes = await database.revokeApiToken(req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Token #${req.params.id} revoked`
+    });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking token'
+    });
+  }
+});
+
+// Validation for POST /api/ip-rules
+const validateIPRule = [
+  body('cidr')
+    .trim()
+    .custom(cidr => normalizeCIDR(cidr) !== null)
+    .withMessage('cidr must be an IP address or CIDR range, e.g. 203.0.113.7 or 203.0.113.0/24'),
+
+  body('type')
+    .isIn(Object.values(IP_RULE_TYPES))
+    .withMessage(`type must be one of: ${Object.values(IP_RULE_TYPES).join(', ')}`),
+
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('reason must be at most 500 characters'),
+];
+
+// GET /api/ip-rules - List the IP allow- and blocklists, optionally only one ?type=
+app.get('/api/ip-rules', requireRole('admin'), async (req, res) => {
+  try {
+    const type = req.query.type ? String(req.query.type) : null;
+    if (type && !Object.values(IP_RULE_TYPES).includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.values(IP_RULE_TYPES).join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      rules: await database.getIPRules(type)
+    });
+  } catch (error) {
+    console.error('Error fetching IP rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching IP rules'
+    });
+  }
+});
+
+// POST /api/ip-rules - Block or allow an IP address or range
+app.post('/api/ip-rules', requireRole('admin'), validateIPRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array().map(err => err.msg)
+      });
+    }
+
+    const { cidr, type, reason } = req.body;
+    const added = await addIPRule({ cidr, type, reason: reason || null }, getTokenActor(req));
+
+    if (added.result !== IP_RULE_RESULTS.CREATED) {
+      return res.status(added.result === IP_RULE_RESULTS.EXISTS ? 409 : 400).json({
+        success: false,
+        message: added.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${added.rule.cidr} added to the ${added.rule.type}list`,
+      rule: added.rule
+    });
+  } catch (error) {
+    console.error('Error adding IP rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding IP rule'
+    });
+  }
+});
+
+// DELETE /api/ip-rules/:id - Remove an IP rule
+app.delete('/api/ip-rules/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await removeIPRule(req.params.id, getTokenActor(req));
+
+    if (removed.result !== IP_RULE_RESULTS.REMOVED) {
+      return res.status(404).json({
+        success: false,
+        message: removed.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${removed.rule.cidr} removed from the ${removed.rule.type}list`
+    });
+  } catch (error) {
+    console.error('Error removing IP rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing IP rule'
+    });
+  }
+});
+
+// GET /api/webhooks/deliveries - List webhook deliveries and their status
+app.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    const deliveries = await database.getWebhookDeliveries(status);
+
+    res.json({
+      success: true,
+      deliveries: deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries'
+    });
+  }
+});
+
+// POST /api/webhooks/deliveries/:id/retry - Queue a failed delivery again
+app.post('/api/webhooks/deliveries/:id/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const changes = await database.retryWebhookDelivery(req.params.id);
+
+    if (changes === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed delivery with that ID'
+      });
+    }
+
+    processDueDeliveries();
+
+    res.json({
+      success: true,
+      message: `Delivery #${req.params.id} queued for retry`
+    });
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying webhook delivery'
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
@@ -315,6 +1212,16 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Serve the customer status page
+app.get('/status', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/status.html'));
+});
+
+// Serve the admin dashboard
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/admin.html'));
+});
+
 // Serve the main HTML file for all other routes
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -344,6 +1251,9 @@ process.on('SIGTERM', () => {
 
 // Start server
 if (process.env.NODE_ENV !== 'production') {
+  // Retry failed webhook deliveries in the background
+  startWebhookWorker();
+
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,144 @@
+// Discord invite links: parsing the supported URL forms and resolving codes to the invited server.
+// The resolver is picked with INVITE_RESOLVER: 'discord' (default) asks the Discord API, 'fake' reads
+// invites from the JSON file at INVITE_FIXTURES_PATH (for tests and offline development) and 'none'
+// only checks the format.
+const fs = require('fs');
+const { getJSON } = require('./http-client');
+
+const DISCORD_API_URL = 'https://discord.com/api/v10';
+
+// Kept short: Discord interactions must be answered within 3 seconds, and an invite
+// that can't be looked up in time is accepted unverified
+const LOOKUP_TIMEOUT_MS = 2000;
+
+// https://discord.gg/<code>, https://discord.com/invite/<code> and https://discordapp.com/invite/<code>.
+// Codes are random (aBc123) or a server's vanity code (my-server).
+const INVITE_URL_PATTERN = /^https:\/\/(?:www\.)?(?:discord\.gg|(?:discord|discordapp)\.com\/invite)\/([a-zA-Z0-9-]{2,32})\/?(?:\?[^#]*)?$/;
+
+// Created from INVITE_RESOLVER on first use. null means invites are not looked up.
+let resolver;
+
+// Get the invite code from a supported invite URL, or null
+function parseInviteCode(link) {
+  const match = INVITE_URL_PATTERN.exec(String(link).trim());
+  return match ? match[1] : null;
+}
+
+// Canonical https://discord.gg/<code> form of an invite URL, or null
+function normalizeInviteLink(link) {
+  const code = parseInviteCode(link);
+  return code ? `https://discord.gg/${code}` : null;
+}
+
+// Format an ISO time from Discord like CURRENT_TIMESTAMP (UTC, 'YYYY-MM-DD HH:MM:SS')
+function toSqlTimestamp(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) : null;
+}
+
+// Resolver backed by the Discord API. Invites that don't exist or expired resolve to null,
+// other failures (rate limits, outages) throw.
+function createDiscordResolver() {
+  return {
+    async resolve(code) {
+      const response = await getJSON(
+        `${DISCORD_API_URL}/invites/${encodeURIComponent(code)}?with_counts=true&with_expiration=true`,
+        {},
+        LOOKUP_TIMEOUT_MS
+      );
+
+      if (response.status === 404) return null;
+      if (response.status !== 200) {
+        throw new Error(`Discord API returned ${response.status} for invite ${code}`);
+      }
+
+      const data = JSON.parse(response.body);
+      // Group DM invites have no server
+      if (!data.guild) return null;
+
+      return {
+        code: data.code,
+        guildId: data.guild.id,
+        guildName: data.guild.name,
+        memberCount: data.approximate_member_count ?? null,
+        expiresAt: toSqlTimestamp(data.expires_at)
+      };
+    }
+  };
+}
+
+// Resolver over a fixed set of invites, keyed by code:
+// { "abc123": { "guildId": "1", "guildName": "Test", "memberCount": 42, "expiresAt": null } }
+function createFakeResolver(invites = {}) {
+  return {
+    async resolve(code) {
+      if (!Object.prototype.hasOwnProperty.call(invites, code)) return null;
+
+      const { guildId, guildName, memberCount = null, expiresAt = null } = invites[code];
+      if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) return null;
+
+      return { code, guildId, guildName, memberCount, expiresAt: toSqlTimestamp(expiresAt) };
+    }
+  };
+}
+
+function createResolverFromEnv() {
+  const type = process.env.INVITE_RESOLVER || 'discord';
+
+  if (type === 'none') return null;
+  if (type === 'fake') {
+    const invites = process.env.INVITE_FIXTURES_PATH
+      ? JSON.parse(fs.readFileSync(process.env.INVITE_FIXTURES_PATH, 'utf8'))
+      : {};
+    return createFakeResolver(invites);
+  }
+  if (type === 'discord') return createDiscordResolver();
+
+  throw new Error(`Unknown INVITE_RESOLVER: ${type}`);
+}
+
+// The resolver set with INVITE_RESOLVER. Throws when the setting or the fixtures file is invalid,
+// so call it once at startup.
+function getInviteResolver() {
+  if (resolver === undefined) resolver = createResolverFromEnv();
+  return resolver;
+}
+
+// Replace the resolver, e.g. with createFakeResolver() in tests, or with null to skip lookups
+function setInviteResolver(newResolver) {
+  resolver = newResolver;
+}
+
+// Check an invite link submitted with a request. Returns { error } for malformed, unknown or expired
+// invites, otherwise { inviteLink, invite } with the canonical link and the resolved server details.
+// invite is null when the invite could not be looked up; such requests are still accepted.
+async function verifyInvite(link) {
+  const code = parseInviteCode(link);
+  if (!code) {
+    return { error: 'Invite link must be a Discord invite link, e.g. https://discord.gg/abc123' };
+  }
+
+  const inviteLink = `https://discord.gg/${code}`;
+  const inviteResolver = getInviteResolver();
+  if (!inviteResolver) return { inviteLink, invite: null };
+
+  try {
+    const invite = await inviteResolver.resolve(code);
+    if (!invite) {
+      return { error: 'This invite link is invalid or has expired.' };
+    }
+    return { inviteLink, invite };
+  } catch (error) {
+    console.error(`Error resolving invite ${code}:`, error.message);
+    return { inviteLink, invite: null };
+  }
+}
+
+module.exports = {
+  parseInviteCode,
+  normalizeInviteLink,
+  createDiscordResolver,
+  createFakeResolver,
+  getInviteResolver,
+  setInviteResolver,
+  verifyInvite,
+};
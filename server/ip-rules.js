@@ -0,0 +1,76 @@
+// Admin-managed IP allow- and blocklists, shared by the API and the review bot's /block command.
+// Rules are single addresses or CIDR ranges. Blocked addresses can't submit requests; an allow rule
+// wins over block rules for the same address and also lifts the per-IP request limit.
+const database = require('./database');
+const { parseAddress, parseCIDR, normalizeCIDR, isInRange } = require('./ip');
+
+const IP_RULE_TYPES = {
+  BLOCK: 'block',
+  ALLOW: 'allow',
+};
+
+// Outcomes of adding and removing rules
+const IP_RULE_RESULTS = {
+  CREATED: 'created',
+  REMOVED: 'removed',
+  INVALID: 'invalid',
+  EXISTS: 'exists',
+  NOT_FOUND: 'not_found',
+};
+
+// Find the rule that applies to an IP address: the first allow rule that matches, otherwise the
+// first block rule. Resolves null when no rule matches.
+async function findIPRule(ip) {
+  const address = parseAddress(ip);
+  if (!address) return null;
+
+  const rules = await database.getIPRules();
+  const matching = rules.filter(rule => {
+    const range = parseCIDR(rule.cidr);
+    return range && isInRange(address, range);
+  });
+
+  return matching.find(rule => rule.type === IP_RULE_TYPES.ALLOW) || matching[0] || null;
+}
+
+// Add a rule for an address or range. Returns { result, rule } when it was added,
+// otherwise { result, message }.
+async function addIPRule({ cidr, type, reason = null }, actor) {
+  const normalized = normalizeCIDR(cidr);
+  if (!normalized) {
+    return { result: IP_RULE_RESULTS.INVALID, message: `${cidr} is not an IP address or CIDR range.` };
+  }
+  if (!Object.values(IP_RULE_TYPES).includes(type)) {
+    return { result: IP_RULE_RESULTS.INVALID, message: `Type must be one of: ${Object.values(IP_RULE_TYPES).join(', ')}.` };
+  }
+
+  try {
+    const id = await database.createIPRule({ cidr: normalized, type, reason, actor });
+    console.log(`IP rule #${id} added by ${actor.name}: ${type} ${normalized}`);
+    return { result: IP_RULE_RESULTS.CREATED, rule: await database.getIPRuleById(id) };
+  } catch (error) {
+    if (!database.isUniqueViolation(error)) throw error;
+
+    const existing = await database.getIPRuleByCidr(normalized);
+    return { result: IP_RULE_RESULTS.EXISTS, message: `${normalized} already has a ${existing.type} rule (#${existing.id}).` };
+  }
+}
+
+// Remove a rule. Returns { result, rule } with the removed rule, or { result, message }.
+async function removeIPRule(id, actor) {
+  const rule = await database.getIPRuleById(id);
+  if (!rule || await database.deleteIPRule(rule.id) === 0) {
+    return { result: IP_RULE_RESULTS.NOT_FOUND, message: 'IP rule not found.' };
+  }
+
+  console.log(`IP rule #${rule.id} removed by ${actor.name}: ${rule.type} ${rule.cidr}`);
+  return { result: IP_RULE_RESULTS.REMOVED, rule };
+}
+
+module.exports = {
+  IP_RULE_TYPES,
+  IP_RULE_RESULTS,
+  findIPRule,
+  addIPRule,
+  removeIPRule,
+};
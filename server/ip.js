@@ -0,0 +1,217 @@
+// Client IP addresses: normalization, CIDR ranges and finding the client behind trusted proxies
+const net = require('net');
+
+// Shortcuts that can be used in TRUSTED_PROXIES
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  all: ['0.0.0.0/0', '::/0'],
+};
+
+// Remove brackets, ports and IPv6 zone IDs, as found in headers ([::1]:8080, 1.2.3.4:5678, fe80::1%eth0)
+function stripAddress(value) {
+  let address = String(value).trim();
+
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^\d{1,3}(?:\.\d{1,3}){3}:\d+$/.test(address)) {
+    address = address.slice(0, address.indexOf(':'));
+  }
+
+  return address.replace(/%.*$/, '');
+}
+
+// The 16 bytes of a valid IPv6 address
+function ipv6ToBytes(address) {
+  let text = address.toLowerCase();
+
+  // Write an embedded IPv4 tail (::ffff:1.2.3.4) as two groups
+  const ipv4Tail = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail.slice(1).map(Number);
+    text = `${text.slice(0, ipv4Tail.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+// Parse an address into { version, bytes }, or null when it isn't one.
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are read as IPv4, so both forms match the same rules.
+function parseAddress(value) {
+  if (value === null || value === undefined) return null;
+
+  const address = stripAddress(value);
+  const version = net.isIP(address);
+  if (version === 4) return { version: 4, bytes: address.split('.').map(Number) };
+  if (version !== 6) return null;
+
+  const bytes = ipv6ToBytes(address);
+  const mapped = bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+  return mapped ? { version: 4, bytes: bytes.slice(12) } : { version: 6, bytes };
+}
+
+// Write a parsed address in its canonical form: dotted IPv4, or lower case IPv6 with the
+// longest run of zero groups shortened to :: (RFC 5952)
+function formatAddress({ version, bytes }) {
+  if (version === 4) return bytes.join('.');
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push((bytes[i] << 8) | bytes[i + 1]);
+  }
+
+  let runStart = -1;
+  let runLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let end = i;
+    while (end < 8 && groups[end] === 0) end++;
+    if (end - i > runLength) {
+      runStart = i;
+      runLength = end - i;
+    }
+    i = Math.max(i, end);
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (runStart === -1) return hex.join(':');
+  return `${hex.slice(0, runStart).join(':')}::${hex.slice(runStart + runLength).join(':')}`;
+}
+
+// Canonical form of an IP address, or null when it isn't one
+function normalizeIP(value) {
+  const address = parseAddress(value);
+  return address ? formatAddress(address) : null;
+}
+
+// Clear the bits of an address after the first prefix bits
+function maskBytes(bytes, prefix) {
+  return bytes.map((byte, i) => {
+    const bits = Math.max(0, Math.min(8, prefix - i * 8));
+    return byte & (0xff << (8 - bits)) & 0xff;
+  });
+}
+
+// Parse a CIDR range (10.0.0.0/8, 2001:db8::/32) or a single address into { version, bytes, prefix },
+// or null when it isn't one. Bits after the prefix are cleared, so 10.1.2.3/8 is 10.0.0.0/8.
+function parseCIDR(value) {
+  const [addressText, prefixText, ...rest] = String(value).trim().split('/');
+  if (rest.length > 0) return null;
+
+  const address = parseAddress(addressText);
+  if (!address) return null;
+
+  const maxPrefix = address.version === 4 ? 32 : 128;
+  let prefix = maxPrefix;
+
+  if (prefixText !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixText)) return null;
+    // A range written as IPv4-mapped IPv6 (::ffff:10.0.0.0/104) counts its prefix over 128 bits
+    const mapped = address.version === 4 && net.isIP(stripAddress(addressText)) === 6;
+    prefix = parseInt(prefixText, 10) - (mapped ? 96 : 0);
+    if (prefix < 0 || prefix > maxPrefix) return null;
+  }
+
+  return { version: address.version, bytes: maskBytes(address.bytes, prefix), prefix };
+}
+
+// Canonical form of a CIDR range. Single addresses are written without a prefix.
+function normalizeCIDR(value) {
+  const range = parseCIDR(value);
+  if (!range) return null;
+
+  const address = formatAddress(range);
+  return range.prefix === (range.version === 4 ? 32 : 128) ? address : `${address}/${range.prefix}`;
+}
+
+// Whether a parsed address is in a parsed range
+function isInRange(address, range) {
+  if (address.version !== range.version) return false;
+  return maskBytes(address.bytes, range.prefix).every((byte, i) => byte === range.bytes[i]);
+}
+
+// Parse TRUSTED_PROXIES: comma-separated addresses, CIDR ranges, 'loopback' and 'private'
+function parseTrustedProxies(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).flatMap(entry => {
+    const ranges = PROXY_PRESETS[entry.toLowerCase()] || [entry];
+    return ranges.map(text => {
+      const range = parseCIDR(text);
+      if (!range) throw new Error(`Invalid TRUSTED_PROXIES entry: ${entry}`);
+      return range;
+    });
+  });
+}
+
+// TRUSTED_PROXIES when it is unset. Heroku's routers connect from private addresses and add the
+// client to X-Forwarded-For; Vercel's proxy replaces the header with the client, so any peer is
+// trusted there. Elsewhere only proxies on the same host are trusted.
+function getDefaultTrustedProxies() {
+  if (process.env.DYNO) return 'loopback,private';
+  if (process.env.VERCEL) return 'all';
+  return 'loopback';
+}
+
+// Proxies whose X-Forwarded-For header is believed. Set it empty when the server is reached directly.
+const TRUSTED_PROXIES = parseTrustedProxies(process.env.TRUSTED_PROXIES ?? getDefaultTrustedProxies());
+
+// Only the first X-Forwarded-For header from an untrusted peer is warned about
+let warnedUntrustedPeer = false;
+
+function isTrustedProxy(address) {
+  return TRUSTED_PROXIES.some(range => isInRange(address, range));
+}
+
+// A proxy missing from TRUSTED_PROXIES makes every customer look like the proxy, so the rate limits,
+// fraud checks and IP rules would treat them all as one client
+function warnUntrustedPeer(peer) {
+  if (warnedUntrustedPeer || TRUSTED_PROXIES.length === 0) return;
+
+  warnedUntrustedPeer = true;
+  console.warn(
+    `X-Forwarded-For received from ${formatAddress(peer)}, which is not in TRUSTED_PROXIES, so the header is ignored. ` +
+    'If the server runs behind this proxy, add its address or range to TRUSTED_PROXIES.'
+  );
+}
+
+// Address of the client that sent a request, in canonical form. X-Forwarded-For is read from the right
+// while the connection so far came from a trusted proxy; the first hop that isn't one is the client.
+// Entries added by the client itself are never reached unless every proxy in between is trusted.
+function getClientIP(req) {
+  let client = parseAddress(req.socket.remoteAddress);
+  if (!client) return null;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(hop => hop.trim())
+    .filter(Boolean);
+
+  if (forwarded.length > 0 && !isTrustedProxy(client)) warnUntrustedPeer(client);
+
+  while (isTrustedProxy(client) && forwarded.length > 0) {
+    const hop = parseAddress(forwarded.pop());
+    // A malformed entry can't be followed further, so the last proxy is used
+    if (!hop) break;
+    client = hop;
+  }
+
+  return formatAddress(client);
+}
+
+module.exports = {
+  parseAddress,
+  normalizeIP,
+  parseCIDR,
+  normalizeCIDR,
+  isInRange,
+  getClientIP,
+};
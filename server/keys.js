@@ -0,0 +1,133 @@
+// Key inventory helpers shared by the web server, the Discord bots and the key CLI
+const crypto = require('crypto');
+
+// Lifecycle states a key can be in
+const KEY_STATES = {
+  UNISSUED: 'UNISSUED', // generated but not yet handed to a customer
+  ISSUED: 'ISSUED',     // sold/delivered, can be redeemed
+  REDEEMED: 'REDEEMED', // used by a redeem request
+  REVOKED: 'REVOKED',   // manually invalidated
+};
+
+// Outcomes of claiming a key for a new request (see Database.claimKeyAndCreateRequest)
+const REDEEM_RESULTS = {
+  CLAIMED: 'claimed',
+  ALREADY_USED: 'already_used',
+  NOT_FOUND: 'not_found',
+  UNAVAILABLE: 'unavailable', // revoked or expired
+  ORDER_ALREADY_REDEEMED: 'order_already_redeemed',
+};
+
+// Check whether a key row from the inventory can be redeemed.
+// Returns null when the key is redeemable, otherwise a customer-facing error message.
+function checkKeyRedeemable(key) {
+  if (!key || key.state === KEY_STATES.UNISSUED) {
+    return 'This redeem key is not valid.';
+  }
+
+  if (key.state === KEY_STATES.REDEEMED) {
+    return 'This redeem key has already been used.';
+  }
+
+  if (key.state === KEY_STATES.REVOKED) {
+    return 'This redeem key has been revoked.';
+  }
+
+  if (key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now()) {
+    return 'This redeem key has expired.';
+  }
+
+  return null;
+}
+
+// Whether the key of a request that ended in this status goes back into stock,
+// set with RELEASE_KEYS_ON_EXPIRE and RELEASE_KEYS_ON_REJECT
+function shouldReleaseKey(status) {
+  if (status === 'EXPIRED') return process.env.RELEASE_KEYS_ON_EXPIRE === 'true';
+  if (status === 'REJECTED') return process.env.RELEASE_KEYS_ON_REJECT === 'true';
+  return false;
+}
+
+// Characters used for generated keys (no 0/O or 1/I to avoid misreading)
+const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Default layout for generated keys, every X is replaced with a random character
+const DEFAULT_KEY_FORMAT = 'XXXX-XXXX-XXXX';
+
+// Compute a single checksum character over the alphanumeric part of a key
+function computeChecksum(key) {
+  const chars = key.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  let sum = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    const value = parseInt(chars[i], 36);
+    // Weight by position so swapped characters change the checksum
+    sum = (sum + value * (i + 1)) % KEY_ALPHABET.length;
+  }
+
+  return KEY_ALPHABET[sum];
+}
+
+// Verify a key that was generated with a checksum character
+function verifyChecksum(key) {
+  if (!key || key.length < 2) return false;
+  return computeChecksum(key.slice(0, -1)) === key.slice(-1).toUpperCase();
+}
+
+// Keys that carry a checksum character are checked before they are looked up, set with
+// KEY_CHECKSUMS=true once every key in stock was generated with --checksum.
+// Returns null when the key passes, otherwise a customer-facing error message.
+function checkKeyChecksum(key) {
+  if (process.env.KEY_CHECKSUMS !== 'true' || verifyChecksum(key)) return null;
+  return 'This redeem key looks mistyped. Please check it and try again.';
+}
+
+// Generate a single random key
+function generateKey({ format = DEFAULT_KEY_FORMAT, prefix = '', checksum = false } = {}) {
+  let key = '';
+
+  for (const char of format) {
+    key += char === 'X' ? KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)] : char;
+  }
+
+  if (prefix) {
+    key = `${prefix}-${key}`;
+  }
+
+  if (checksum) {
+    key += computeChecksum(key);
+  }
+
+  return key;
+}
+
+// Mask a key for display, keeping only the first few characters
+function maskKey(key) {
+  if (!key) return key;
+  const visible = Math.min(4, Math.floor(key.length / 3));
+  return key.slice(0, visible) + '•'.repeat(Math.max(key.length - visible, 4));
+}
+
+// Number of trailing characters left out of a key prefix
+const KEY_PREFIX_TAIL = 4;
+
+// The alphanumeric part of a key without its last few characters, or null for short keys.
+// Guesses that walk through the end of a real key share this prefix.
+function getKeyPrefix(key) {
+  const chars = String(key).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length >= KEY_PREFIX_TAIL * 2 ? chars.slice(0, -KEY_PREFIX_TAIL) : null;
+}
+
+module.exports = {
+  KEY_STATES,
+  REDEEM_RESULTS,
+  DEFAULT_KEY_FORMAT,
+  checkKeyRedeemable,
+  shouldReleaseKey,
+  maskKey,
+  getKeyPrefix,
+  generateKey,
+  computeChecksum,
+  verifyChecksum,
+  checkKeyChecksum,
+};
@@ -0,0 +1,181 @@
+// Initial schema. Databases created before migrations existed already have some of these
+// tables, so everything is created only if missing and older tables are brought up to date.
+
+const tables = {
+  redeem_requests: `
+    CREATE TABLE IF NOT EXISTS redeem_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      redeemKey TEXT NOT NULL,
+      inviteLink TEXT NOT NULL,
+      email TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      ipAddress TEXT,
+      userAgent TEXT,
+      orderId TEXT,
+      source TEXT NOT NULL DEFAULT 'web',
+      discordUserId TEXT,
+      discordChannelId TEXT,
+      discordMessageId TEXT,
+      trackingToken TEXT,
+      staffNote TEXT,
+      statusUpdatedAt DATETIME,
+      assignedTo TEXT,
+      assignedToName TEXT,
+      assignedAt DATETIME,
+      keyReleasedAt DATETIME
+    )
+  `,
+
+  used_keys: `
+    CREATE TABLE IF NOT EXISTS used_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      redeemKey TEXT UNIQUE NOT NULL,
+      usedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  keys: `
+    CREATE TABLE IF NOT EXISTS keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      redeemKey TEXT UNIQUE NOT NULL,
+      product TEXT NOT NULL,
+      batch TEXT,
+      state TEXT NOT NULL DEFAULT 'ISSUED',
+      expiresAt DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      redeemedAt DATETIME
+    )
+  `,
+
+  api_tokens: `
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      tokenHash TEXT UNIQUE NOT NULL,
+      role TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      lastUsedAt DATETIME,
+      revokedAt DATETIME
+    )
+  `,
+
+  webhook_deliveries: `
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      eventId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      url TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt INTEGER NOT NULL,
+      lastStatusCode INTEGER,
+      lastError TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      deliveredAt DATETIME
+    )
+  `,
+
+  audit_events: `
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      requestId INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actorType TEXT NOT NULL,
+      actorId TEXT,
+      actorName TEXT,
+      oldStatus TEXT,
+      newStatus TEXT,
+      reason TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  cooldowns: `
+    CREATE TABLE IF NOT EXISTS cooldowns (
+      userId TEXT PRIMARY KEY,
+      lastRequestAt INTEGER NOT NULL
+    )
+  `,
+};
+
+// redeem_requests columns added before migrations existed
+const legacyColumns = [
+  ['source', "TEXT NOT NULL DEFAULT 'web'"],
+  ['discordUserId', 'TEXT'],
+  ['discordChannelId', 'TEXT'],
+  ['discordMessageId', 'TEXT'],
+  ['trackingToken', 'TEXT'],
+  ['staffNote', 'TEXT'],
+  ['statusUpdatedAt', 'DATETIME'],
+  ['assignedTo', 'TEXT'],
+  ['assignedToName', 'TEXT'],
+  ['assignedAt', 'DATETIME'],
+  ['keyReleasedAt', 'DATETIME'],
+];
+
+const indexes = [
+  // Replaced by idx_redeem_requests_open_orderId, which ignores requests with a released key
+  'DROP INDEX IF EXISTS idx_redeem_requests_orderId',
+
+  // Each key and each order can only be in one request, unless the key was released
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_redeem_requests_redeemKey
+   ON redeem_requests (redeemKey) WHERE keyReleasedAt IS NULL`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_redeem_requests_open_orderId
+   ON redeem_requests (orderId) WHERE orderId IS NOT NULL AND keyReleasedAt IS NULL`,
+
+  // Audit log lookups by request
+  'CREATE INDEX IF NOT EXISTS idx_audit_events_requestId ON audit_events (requestId)',
+];
+
+// Add a column to an existing table if it is not there yet
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (columns.some(c => c.name === column)) return;
+
+  await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// Early databases have a UNIQUE constraint on redeem_requests.redeemKey, which stops
+// released keys from being redeemed again. SQLite can't drop a constraint, so the table is rebuilt.
+async function dropUniqueRedeemKeyConstraint(db) {
+  const uniqueIndexes = (await db.all('PRAGMA index_list(redeem_requests)'))
+    .filter(index => index.origin === 'u' && index.unique);
+
+  let hasConstraint = false;
+  for (const index of uniqueIndexes) {
+    const columns = await db.all(`PRAGMA index_info(${index.name})`);
+    if (columns.length === 1 && columns[0].name === 'redeemKey') hasConstraint = true;
+  }
+  if (!hasConstraint) return;
+
+  const columns = (await db.all('PRAGMA table_info(redeem_requests)')).map(c => c.name).join(', ');
+
+  await db.exec(`
+    ${tables.redeem_requests.replace('CREATE TABLE IF NOT EXISTS redeem_requests', 'CREATE TABLE redeem_requests_rebuilt')};
+    INSERT INTO redeem_requests_rebuilt (${columns}) SELECT ${columns} FROM redeem_requests;
+    DROP TABLE redeem_requests;
+    ALTER TABLE redeem_requests_rebuilt RENAME TO redeem_requests;
+  `);
+  console.log('Rebuilt redeem_requests table without the UNIQUE redeemKey constraint');
+}
+
+async function up(db) {
+  for (const sql of Object.values(tables)) {
+    await db.run(sql);
+  }
+
+  for (const [column, definition] of legacyColumns) {
+    await addColumnIfMissing(db, 'redeem_requests', column, definition);
+  }
+
+  await dropUniqueRedeemKeyConstraint(db);
+
+  for (const sql of indexes) {
+    await db.run(sql);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,122 @@
+// Initial schema on Postgres, used in place of 001_initial.js there. It creates the same tables
+// with Postgres types; times in ms need BIGINT. Postgres support came after these tables, so
+// there are no older databases to bring up to date.
+
+const tables = {
+  redeem_requests: `
+    CREATE TABLE IF NOT EXISTS redeem_requests (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      redeemKey TEXT NOT NULL,
+      inviteLink TEXT NOT NULL,
+      email TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      timestamp TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+      ipAddress TEXT,
+      userAgent TEXT,
+      orderId TEXT,
+      source TEXT NOT NULL DEFAULT 'web',
+      discordUserId TEXT,
+      discordChannelId TEXT,
+      discordMessageId TEXT,
+      trackingToken TEXT,
+      staffNote TEXT,
+      statusUpdatedAt TIMESTAMP(0),
+      assignedTo TEXT,
+      assignedToName TEXT,
+      assignedAt TIMESTAMP(0),
+      keyReleasedAt TIMESTAMP(0)
+    )
+  `,
+
+  used_keys: `
+    CREATE TABLE IF NOT EXISTS used_keys (
+      id SERIAL PRIMARY KEY,
+      redeemKey TEXT UNIQUE NOT NULL,
+      usedAt TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  keys: `
+    CREATE TABLE IF NOT EXISTS keys (
+      id SERIAL PRIMARY KEY,
+      redeemKey TEXT UNIQUE NOT NULL,
+      product TEXT NOT NULL,
+      batch TEXT,
+      state TEXT NOT NULL DEFAULT 'ISSUED',
+      expiresAt TIMESTAMP(0),
+      createdAt TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+      redeemedAt TIMESTAMP(0)
+    )
+  `,
+
+  api_tokens: `
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      tokenHash TEXT UNIQUE NOT NULL,
+      role TEXT NOT NULL,
+      createdAt TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+      lastUsedAt TIMESTAMP(0),
+      revokedAt TIMESTAMP(0)
+    )
+  `,
+
+  webhook_deliveries: `
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      eventId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      url TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'PENDING',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt BIGINT NOT NULL,
+      lastStatusCode INTEGER,
+      lastError TEXT,
+      createdAt TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP,
+      deliveredAt TIMESTAMP(0)
+    )
+  `,
+
+  audit_events: `
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id SERIAL PRIMARY KEY,
+      requestId INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actorType TEXT NOT NULL,
+      actorId TEXT,
+      actorName TEXT,
+      oldStatus TEXT,
+      newStatus TEXT,
+      reason TEXT,
+      createdAt TIMESTAMP(0) DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+
+  cooldowns: `
+    CREATE TABLE IF NOT EXISTS cooldowns (
+      userId TEXT PRIMARY KEY,
+      lastRequestAt BIGINT NOT NULL
+    )
+  `,
+};
+
+const indexes = [
+  // Each key and each order can only be in one request, unless the key was released
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_redeem_requests_redeemKey
+   ON redeem_requests (redeemKey) WHERE keyReleasedAt IS NULL`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_redeem_requests_open_orderId
+   ON redeem_requests (orderId) WHERE orderId IS NOT NULL AND keyReleasedAt IS NULL`,
+
+  // Audit log lookups by request
+  'CREATE INDEX IF NOT EXISTS idx_audit_events_requestId ON audit_events (requestId)',
+];
+
+async function up(db) {
+  for (const sql of [...Object.values(tables), ...indexes]) {
+    await db.run(sql);
+  }
+}
+
+module.exports = { up };
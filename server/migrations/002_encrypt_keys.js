@@ -0,0 +1,39 @@
+// Encrypt the redeem keys stored in plaintext and add the hash they are looked up by
+const { isEncrypted, encryptKey, hashKey } = require('../encryption');
+
+const KEY_TABLES = ['redeem_requests', 'keys', 'used_keys'];
+
+const indexes = [
+  // Encryption uses a random IV, so uniqueness is checked on the hash instead
+  'DROP INDEX IF EXISTS idx_redeem_requests_redeemKey',
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_redeem_requests_redeemKeyHash
+   ON redeem_requests (redeemKeyHash) WHERE keyReleasedAt IS NULL`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_keys_redeemKeyHash ON keys (redeemKeyHash)',
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_used_keys_redeemKeyHash ON used_keys (redeemKeyHash)',
+];
+
+async function up(db) {
+  for (const table of KEY_TABLES) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN redeemKeyHash TEXT`);
+
+    const rows = await db.all(`SELECT id, redeemKey FROM ${table}`);
+    for (const row of rows) {
+      if (isEncrypted(row.redeemKey)) continue;
+
+      await db.run(
+        `UPDATE ${table} SET redeemKey = ?, redeemKeyHash = ? WHERE id = ?`,
+        [encryptKey(row.redeemKey), hashKey(row.redeemKey), row.id]
+      );
+    }
+
+    if (rows.length > 0) {
+      console.log(`Encrypted ${rows.length} key(s) in ${table}`);
+    }
+  }
+
+  for (const sql of indexes) {
+    await db.run(sql);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+// Server details resolved from a request's invite link (see invites.js)
+async function up(db) {
+  const datetime = db.dialect === 'postgres' ? 'TIMESTAMP(0)' : 'DATETIME';
+
+  const columns = [
+    ['inviteGuildId', 'TEXT'],
+    ['inviteGuildName', 'TEXT'],
+    ['inviteMemberCount', 'INTEGER'],
+    ['inviteExpiresAt', datetime],
+    ['inviteVerifiedAt', datetime],
+  ];
+
+  for (const [column, definition] of columns) {
+    await db.run(`ALTER TABLE redeem_requests ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,25 @@
+// Fraud scores on requests (see scoring.js) and a log of failed key attempts to score against
+async function up(db) {
+  const postgres = db.dialect === 'postgres';
+  const datetime = postgres ? 'TIMESTAMP(0)' : 'DATETIME';
+
+  await db.run('ALTER TABLE redeem_requests ADD COLUMN fraudScore INTEGER');
+  await db.run('ALTER TABLE redeem_requests ADD COLUMN fraudReasons TEXT');
+
+  // keyPrefixHash is the lookup hash of a guess without its last characters,
+  // so guesses that only differ at the end can be grouped without storing them
+  await db.run(`
+    CREATE TABLE key_attempts (
+      id ${postgres ? 'SERIAL' : 'INTEGER'} PRIMARY KEY${postgres ? '' : ' AUTOINCREMENT'},
+      ipAddress TEXT,
+      discordUserId TEXT,
+      result TEXT NOT NULL,
+      keyPrefixHash TEXT,
+      createdAt ${datetime} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run('CREATE INDEX idx_key_attempts_ipAddress ON key_attempts (ipAddress, createdAt)');
+  await db.run('CREATE INDEX idx_key_attempts_discordUserId ON key_attempts (discordUserId, createdAt)');
+}
+
+module.exports = { up };
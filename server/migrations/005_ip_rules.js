@@ -0,0 +1,19 @@
+// Admin-managed IP allow- and blocklists (see ip-rules.js)
+async function up(db) {
+  const postgres = db.dialect === 'postgres';
+
+  await db.run(`
+    CREATE TABLE ip_rules (
+      id ${postgres ? 'SERIAL' : 'INTEGER'} PRIMARY KEY${postgres ? '' : ' AUTOINCREMENT'},
+      cidr TEXT UNIQUE NOT NULL,
+      type TEXT NOT NULL,
+      reason TEXT,
+      actorType TEXT NOT NULL,
+      actorId TEXT,
+      actorName TEXT,
+      createdAt ${postgres ? 'TIMESTAMP(0)' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+module.exports = { up };
@@ -0,0 +1,92 @@
+// Versioned schema migrations. Each file in server/migrations is named
+// <version>_<name>.js and exports an async up(database) function, which can
+// check database.dialect ('sqlite' or 'postgres') where the SQL differs. A file
+// named <version>_<name>.<dialect>.js is used in place of the shared one on that dialect.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Load the migration files for a dialect, ordered by version
+function loadMigrations(dialect) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(/^(\d+)_(\w+)(?:\.(sqlite|postgres))?\.js$/);
+    if (!match) continue;
+
+    const [, version, name, fileDialect] = match;
+    if (fileDialect && fileDialect !== dialect) continue;
+
+    // A file for the dialect wins over the shared one
+    if (!fileDialect && migrations.has(parseInt(version))) continue;
+
+    migrations.set(parseInt(version), {
+      version: parseInt(version),
+      name,
+      file,
+      up: require(path.join(MIGRATIONS_DIR, file)).up
+    });
+  }
+
+  return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(database) {
+  const timestampType = database.dialect === 'postgres' ? 'TIMESTAMP(0)' : 'DATETIME';
+
+  // In a transaction, so processes starting at the same time don't race to create it
+  await database.withTransaction(() => database.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt ${timestampType} DEFAULT CURRENT_TIMESTAMP
+    )
+  `));
+}
+
+// Every migration with whether (and when) it was applied
+async function getMigrationStatus(database) {
+  await ensureMigrationsTable(database);
+  const applied = new Map(
+    (await database.all('SELECT version, appliedAt FROM schema_migrations')).map(row => [row.version, row.appliedAt])
+  );
+
+  return loadMigrations(database.dialect).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version) || null
+  }));
+}
+
+// Apply pending migrations in order, each in its own transaction.
+// Returns the migrations that were applied.
+async function runMigrations(database) {
+  await ensureMigrationsTable(database);
+  const applied = [];
+
+  for (const migration of loadMigrations(database.dialect)) {
+    const ran = await database.withTransaction(async () => {
+      // Another process may have applied it while this one waited for the lock
+      const existing = await database.get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version]);
+      if (existing) return false;
+
+      await migration.up(database);
+      await database.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      return true;
+    });
+
+    if (ran) {
+      console.log(`Applied migration ${migration.file}`);
+      applied.push(migration);
+    }
+  }
+
+  return applied;
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  runMigrations,
+};
@@ -0,0 +1,29 @@
+// Push notifications from the server to the Discord bot's internal endpoint
+const { postJSON } = require('./http-client');
+const { createSignatureHeaders } = require('./signing');
+
+// Notify the bot about a request event. Failures are logged and never thrown:
+// the bot still picks up missed requests through its fallback polling.
+async function notifyBot(event, data) {
+  const url = process.env.BOT_NOTIFY_URL;
+  const secret = process.env.BOT_NOTIFY_SECRET;
+  if (!url || !secret) return false;
+
+  try {
+    const body = JSON.stringify({ event, data });
+    const response = await postJSON(url, body, createSignatureHeaders(secret, body), 2000);
+
+    if (response.status >= 300) {
+      console.error(`Bot notification for ${event} failed with status ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error notifying Discord bot about ${event}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  notifyBot,
+};
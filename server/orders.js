@@ -0,0 +1,83 @@
+// Known order IDs used to validate /api/redeem-order/:id submissions.
+// Orders come from ORDER_IDS (comma-separated) and/or ORDER_SOURCE_PATH, a CSV or JSON
+// storefront export with an orderId column and an optional redeemKey column.
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./csv');
+
+// Cached orders from the source file, reloaded when the file changes
+let cachedSource = { path: null, mtimeMs: 0, orders: new Map() };
+
+// Add an order (and optionally a key that belongs to it) to the map
+function addOrder(orders, orderId, redeemKey) {
+  const id = String(orderId || '').trim();
+  if (!id) return;
+
+  if (!orders.has(id)) {
+    orders.set(id, new Set());
+  }
+  if (redeemKey) {
+    orders.get(id).add(String(redeemKey).trim());
+  }
+}
+
+// Load orders from the configured source file
+function loadOrderSource(sourcePath) {
+  const stats = fs.statSync(sourcePath);
+  if (cachedSource.path === sourcePath && cachedSource.mtimeMs === stats.mtimeMs) {
+    return cachedSource.orders;
+  }
+
+  const content = fs.readFileSync(sourcePath, 'utf8');
+  const rows = path.extname(sourcePath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : parseCSV(content);
+
+  const orders = new Map();
+  for (const row of rows) {
+    if (typeof row === 'string') {
+      addOrder(orders, row);
+    } else {
+      addOrder(orders, row.orderId || row.order_id || row.id, row.redeemKey || row.key);
+    }
+  }
+
+  cachedSource = { path: sourcePath, mtimeMs: stats.mtimeMs, orders };
+  console.log(`Loaded ${orders.size} order(s) from ${sourcePath}`);
+  return orders;
+}
+
+// Get all known orders, or null when order validation is not configured
+function getKnownOrders() {
+  const ids = (process.env.ORDER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  const sourcePath = process.env.ORDER_SOURCE_PATH;
+
+  if (ids.length === 0 && !sourcePath) return null;
+
+  const orders = sourcePath ? new Map(loadOrderSource(sourcePath)) : new Map();
+  ids.forEach(id => addOrder(orders, id));
+  return orders;
+}
+
+// Check an order ID (and the key submitted with it) against the known orders.
+// Returns null when valid, otherwise { status, message }.
+function validateOrder(orderId, redeemKey) {
+  const orders = getKnownOrders();
+  if (!orders) return null;
+
+  if (!orders.has(orderId)) {
+    return { status: 404, message: 'Unknown order ID. Please check the link from your order confirmation.' };
+  }
+
+  const keys = orders.get(orderId);
+  if (keys.size > 0 && !keys.has(redeemKey)) {
+    return { status: 400, message: 'This redeem key does not belong to this order.' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  getKnownOrders,
+  validateOrder,
+};
@@ -0,0 +1,123 @@
+// Exports and summary reports of redeem activity, shared by the API and the /export command
+const database = require('./database');
+const { toCSV } = require('./csv');
+const { maskKey } = require('./keys');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Columns in request exports. The tracking token is left out, it opens the customer status page.
+const EXPORT_FIELDS = [
+  'id', 'name', 'redeemKey', 'inviteLink', 'email', 'orderId', 'status', 'staffNote', 'source',
+  'timestamp', 'statusUpdatedAt', 'assignedToName', 'keyReleasedAt', 'ipAddress', 'discordUserId'
+];
+
+// Statuses of requests that were approved, even if they moved on since
+const APPROVED_STATUSES = ['APPROVED', 'IN_PROGRESS', 'FULFILLED', 'REFUNDED'];
+
+// Parse a 'YYYY-MM-DD HH:MM:SS' UTC timestamp from the database (older rows may be ISO strings)
+function parseTimestamp(value) {
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Build an export of the requests matching filters ({ statuses, from, to }), with masked keys.
+// Returns { filename, contentType, content, count }.
+async function buildRequestExport(filters, format = 'csv') {
+  const requests = await database.getAllRequests(filters);
+  const rows = requests.map(request => Object.fromEntries(EXPORT_FIELDS.map(field => [
+    field,
+    field === 'redeemKey' ? maskKey(request.redeemKey) : request[field]
+  ])));
+
+  const filename = `redeem-requests-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'json') {
+    return { filename, contentType: 'application/json', content: JSON.stringify(rows, null, 2), count: rows.length };
+  }
+  return { filename, contentType: 'text/csv', content: toCSV(rows, EXPORT_FIELDS), count: rows.length };
+}
+
+// Requests submitted per day
+async function getRequestsPerDay(filters) {
+  return database.countRequestsPerDay(filters);
+}
+
+// Share of decided requests that were approved. Pending and expired requests have no decision.
+async function getApprovalRate(filters) {
+  const counts = await database.countRequestsByStatus({ ...filters, statuses: undefined });
+
+  const approved = APPROVED_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+  const rejected = counts.REJECTED;
+  const decided = approved + rejected;
+
+  return {
+    approved,
+    rejected,
+    pending: counts.PENDING,
+    onHold: counts.ON_HOLD,
+    expired: counts.EXPIRED,
+    approvalRate: decided > 0 ? approved / decided : null
+  };
+}
+
+// Number of decisions and median minutes from submission to decision per staff member,
+// for decisions made between from and to. Decisions made before the audit log existed are not included.
+async function getDecisionTimes({ from, to } = {}) {
+  const events = await database.getDecisionEvents({ from, to });
+  const staff = new Map();
+
+  for (const event of events) {
+    const key = `${event.actorType}:${event.actorId}`;
+    if (!staff.has(key)) {
+      staff.set(key, {
+        actorType: event.actorType,
+        actorId: event.actorId,
+        actorName: event.actorName,
+        approved: 0,
+        rejected: 0,
+        minutes: []
+      });
+    }
+
+    const entry = staff.get(key);
+    // Keep the most recent name, Discord tags and token names can change
+    entry.actorName = event.actorName || entry.actorName;
+    if (event.newStatus === 'REJECTED') {
+      entry.rejected++;
+    } else {
+      entry.approved++;
+    }
+    entry.minutes.push((parseTimestamp(event.createdAt) - parseTimestamp(event.submittedAt)) / 60000);
+  }
+
+  return [...staff.values()]
+    .map(({ minutes, ...entry }) => ({
+      ...entry,
+      decisions: minutes.length,
+      medianMinutes: Math.round(median(minutes) * 10) / 10
+    }))
+    .sort((a, b) => b.decisions - a.decisions);
+}
+
+// Keys redeemed between from and to, per product and batch
+async function getKeysRedeemed({ from, to } = {}) {
+  return database.countRedeemedKeys({ from, to });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FIELDS,
+  buildRequestExport,
+  getRequestsPerDay,
+  getApprovalRate,
+  getDecisionTimes,
+  getKeysRedeemed,
+};
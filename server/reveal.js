@@ -0,0 +1,44 @@
+// Revealing full redeem keys to staff, shared by GET /api/requests/:id/key and /viewkey
+const database = require('./database');
+
+// Outcomes of revealKey
+const REVEAL_RESULTS = {
+  REVEALED: 'revealed',
+  NOT_FOUND: 'not_found',
+  RATE_LIMITED: 'rate_limited',
+};
+
+// Window for KEY_REVEAL_LIMIT
+const REVEAL_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Most keys a staff member may reveal per hour, 0 means no limit
+function getRevealLimit() {
+  return parseInt(process.env.KEY_REVEAL_LIMIT) || 0;
+}
+
+// Get the request with its full key for an actor ({ type, id, name }) and record the reveal
+// in the audit log. Returns { result, request } or { result, message } when nothing was revealed.
+async function revealKey(requestId, actor) {
+  const request = await database.getRequestById(requestId);
+  if (!request) {
+    return { result: REVEAL_RESULTS.NOT_FOUND, message: 'Request not found' };
+  }
+
+  const limit = getRevealLimit();
+  if (limit > 0) {
+    const since = new Date(Date.now() - REVEAL_WINDOW_MS);
+    if (await database.countActorEvents('key_revealed', actor, since) >= limit) {
+      return { result: REVEAL_RESULTS.RATE_LIMITED, message: `You can reveal at most ${limit} key(s) per hour` };
+    }
+  }
+
+  await database.createAuditEvent({ requestId: request.id, action: 'key_revealed', actor });
+  console.log(`Key of request #${request.id} revealed to ${actor.name}`);
+
+  return { result: REVEAL_RESULTS.REVEALED, request };
+}
+
+module.exports = {
+  REVEAL_RESULTS,
+  revealKey,
+};
@@ -0,0 +1,195 @@
+// Fraud and abuse scoring for new redeem requests. Each submission gets a score from 0 to 100 from
+// recent requests with the same IP, invite or name, failed key attempts by the submitter, keys that
+// look guessed and the user agent. Requests scoring FRAUD_HOLD_SCORE or more are held for review
+// (ON_HOLD) and those scoring FRAUD_REJECT_SCORE or more are rejected automatically.
+const database = require('./database');
+const { hashKey } = require('./encryption');
+const { REDEEM_RESULTS, getKeyPrefix, shouldReleaseKey } = require('./keys');
+const { REQUEST_STATUSES } = require('./status');
+const { emitEvent, serializeRequest } = require('./webhooks');
+
+const MAX_SCORE = 100;
+const DEFAULT_HOLD_SCORE = 60;
+const DEFAULT_REJECT_SCORE = 85;
+
+// How far back recent requests and failed key attempts are counted
+const DEFAULT_WINDOW_MINUTES = 60;
+
+// Points per occurrence of each signal, and the most a signal can add
+const SIGNAL_POINTS = {
+  ipVelocity: { each: 10, max: 30 },
+  inviteVelocity: { each: 15, max: 30 },
+  nameVelocity: { each: 10, max: 20 },
+  failedAttempts: { each: 10, max: 40 },
+  guessedKeys: { each: 15, max: 45 },
+};
+
+// Points for web submissions with an unusual user agent
+const USER_AGENT_POINTS = {
+  missing: 25,
+  scripted: 30,
+  short: 10,
+};
+
+// Browsers send long user agents; anything shorter is unusual
+const MIN_USER_AGENT_LENGTH = 30;
+
+// HTTP libraries, command line tools and headless browsers
+const SCRIPTED_USER_AGENT_PATTERN = /curl|wget|python|go-http-client|java\/|okhttp|axios|node-fetch|undici|libwww|headless|phantomjs|selenium|scrapy|\bbot\b|spider|crawler/i;
+
+// Claim results that count as failed key attempts
+const FAILED_KEY_RESULTS = [REDEEM_RESULTS.NOT_FOUND, REDEEM_RESULTS.ALREADY_USED, REDEEM_RESULTS.UNAVAILABLE];
+
+// Audit log actor for automatic holds and rejections
+const FRAUD_ACTOR = { type: 'system', id: null, name: 'Fraud check' };
+
+// Shown to customers whose request was rejected automatically, without saying why
+const REJECTION_NOTE = 'We could not verify this request. Please contact support if you think this is a mistake.';
+
+function parseScore(value, fallback) {
+  const score = parseInt(value);
+  return Number.isNaN(score) ? fallback : score;
+}
+
+// Scores from which requests are held and rejected, set with FRAUD_HOLD_SCORE and FRAUD_REJECT_SCORE.
+// A threshold above 100 turns that action off.
+function getThresholds() {
+  return {
+    hold: parseScore(process.env.FRAUD_HOLD_SCORE, DEFAULT_HOLD_SCORE),
+    reject: parseScore(process.env.FRAUD_REJECT_SCORE, DEFAULT_REJECT_SCORE)
+  };
+}
+
+function getWindowMinutes() {
+  return parseFloat(process.env.FRAUD_WINDOW_MINUTES) || DEFAULT_WINDOW_MINUTES;
+}
+
+// Lookup hash of the part of a key that guesses of it share (see getKeyPrefix), or null
+function hashKeyPrefix(redeemKey) {
+  const prefix = getKeyPrefix(redeemKey);
+  return prefix ? hashKey(prefix) : null;
+}
+
+// Why a user agent looks unusual, or null. Only web submissions have one.
+function checkUserAgent(userAgent) {
+  if (!userAgent || !userAgent.trim()) {
+    return { points: USER_AGENT_POINTS.missing, reason: 'No user agent' };
+  }
+  if (SCRIPTED_USER_AGENT_PATTERN.test(userAgent)) {
+    return { points: USER_AGENT_POINTS.scripted, reason: 'Scripted client user agent' };
+  }
+  if (userAgent.length < MIN_USER_AGENT_LENGTH) {
+    return { points: USER_AGENT_POINTS.short, reason: 'Unusually short user agent' };
+  }
+  return null;
+}
+
+// Status a request with this score starts in
+function getStatusForScore(score) {
+  const { hold, reject } = getThresholds();
+  if (score >= reject) return REQUEST_STATUSES.REJECTED;
+  if (score >= hold) return REQUEST_STATUSES.ON_HOLD;
+  return REQUEST_STATUSES.PENDING;
+}
+
+// Score a submission before its key is claimed. Resolves the fields to create the request with:
+// { fraudScore, fraudReasons, status, staffNote }.
+async function assessSubmission({ name, redeemKey, inviteLink, ipAddress = null, userAgent = null, source = 'web', discordUserId = null }) {
+  const minutes = getWindowMinutes();
+  const since = new Date(Date.now() - minutes * 60 * 1000);
+  const reasons = [];
+  let score = 0;
+
+  const addSignal = (points, reason) => {
+    if (points <= 0) return;
+    score += points;
+    reasons.push(`${reason} (+${points})`);
+  };
+  const addCount = (signal, count, reason) => {
+    const { each, max } = SIGNAL_POINTS[signal];
+    if (count > 0) addSignal(Math.min(count * each, max), reason);
+  };
+
+  const recent = await database.countRecentRequests({ ipAddress, inviteLink, name }, since);
+  addCount('ipVelocity', recent.ipAddress, `${recent.ipAddress} other request(s) from this IP in ${minutes} min`);
+  addCount('inviteVelocity', recent.inviteLink, `${recent.inviteLink} other request(s) for this invite in ${minutes} min`);
+  addCount('nameVelocity', recent.name, `${recent.name} other request(s) under this name in ${minutes} min`);
+
+  if (ipAddress || discordUserId) {
+    const submitter = { ipAddress, discordUserId };
+    const failed = await database.countFailedKeyAttempts(submitter, since);
+    addCount('failedAttempts', failed, `${failed} failed key attempt(s) in ${minutes} min`);
+
+    // Failed guesses that only differ from this key in the last characters
+    const keyPrefixHash = hashKeyPrefix(redeemKey);
+    if (keyPrefixHash && failed > 0) {
+      const guesses = await database.countFailedKeyAttempts({ ...submitter, keyPrefixHash }, since);
+      addCount('guessedKeys', guesses, `${guesses} failed attempt(s) at keys close to this one`);
+    }
+  }
+
+  if (source === 'web') {
+    const userAgentCheck = checkUserAgent(userAgent);
+    if (userAgentCheck) addSignal(userAgentCheck.points, userAgentCheck.reason);
+  }
+
+  const fraudScore = Math.min(score, MAX_SCORE);
+  const status = getStatusForScore(fraudScore);
+
+  return {
+    fraudScore,
+    fraudReasons: reasons.length > 0 ? reasons.join('; ') : null,
+    status,
+    staffNote: status === REQUEST_STATUSES.REJECTED ? REJECTION_NOTE : null
+  };
+}
+
+// Record a failed key claim so later submissions from the same IP or Discord user score higher.
+// Other claim results, like an order that was already redeemed, are ignored.
+async function recordFailedKeyAttempt({ redeemKey, ipAddress = null, discordUserId = null }, result) {
+  if (!FAILED_KEY_RESULTS.includes(result)) return;
+
+  try {
+    await database.createKeyAttempt({ ipAddress, discordUserId, result, keyPrefixHash: hashKeyPrefix(redeemKey) });
+  } catch (error) {
+    console.error('Error recording failed key attempt:', error);
+  }
+}
+
+// Audit a request that was created held or rejected by assessSubmission, release the key
+// of a rejected request if configured, and send the status webhook. The request exists by
+// now, so failures are logged rather than failing the submission.
+async function recordFraudDecision(request) {
+  if (request.status === REQUEST_STATUSES.PENDING) return;
+
+  try {
+    await database.createAuditEvent({
+      requestId: request.id,
+      action: 'status_changed',
+      actor: FRAUD_ACTOR,
+      oldStatus: REQUEST_STATUSES.PENDING,
+      newStatus: request.status,
+      reason: `Fraud score ${request.fraudScore}${request.fraudReasons ? `: ${request.fraudReasons}` : ''}`
+    });
+
+    if (request.status === REQUEST_STATUSES.REJECTED && shouldReleaseKey(request.status)) {
+      await database.releaseRequestKey(request.id, FRAUD_ACTOR);
+    }
+
+    console.log(`Request #${request.id} ${request.status === REQUEST_STATUSES.REJECTED ? 'rejected' : 'held'} with fraud score ${request.fraudScore}`);
+
+    emitEvent(`request.${request.status.toLowerCase()}`, {
+      request: serializeRequest(await database.getRequestById(request.id)),
+      actor: FRAUD_ACTOR
+    });
+  } catch (error) {
+    console.error(`Error recording fraud decision for request #${request.id}:`, error);
+  }
+}
+
+module.exports = {
+  getThresholds,
+  assessSubmission,
+  recordFailedKeyAttempt,
+  recordFraudDecision,
+};
@@ -0,0 +1,60 @@
+// Search options for GET /api/requests
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Columns that can be selected with ?fields=
+const REQUEST_FIELDS = [
+  'id', 'name', 'redeemKey', 'inviteLink', 'email', 'status', 'timestamp', 'ipAddress', 'userAgent',
+  'orderId', 'source', 'discordUserId', 'discordChannelId', 'discordMessageId', 'staffNote',
+  'statusUpdatedAt', 'assignedTo', 'assignedToName', 'assignedAt', 'keyReleasedAt',
+  'inviteGuildId', 'inviteGuildName', 'inviteMemberCount', 'inviteExpiresAt', 'inviteVerifiedAt',
+  'fraudScore', 'fraudReasons'
+];
+
+// Columns that can be sorted on. They are never NULL, which keyset pagination relies on.
+const SORT_FIELDS = ['timestamp', 'id', 'name', 'status'];
+
+// Opaque cursor pointing after the last request of a page. It records the sort column,
+// so a cursor from one sort order is not used with another.
+function encodeCursor(request, sort) {
+  return Buffer.from(JSON.stringify([sort, request[sort], request.id])).toString('base64url');
+}
+
+// Decode a cursor into { sort, value, id }, or return null when it is not one of ours
+function decodeCursor(cursor) {
+  try {
+    const [sort, value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!SORT_FIELDS.includes(sort) || !Number.isInteger(id)) return null;
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    return { sort, value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Parse a comma-separated ?fields= list. Returns null for unknown fields.
+function parseFields(fields) {
+  const list = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  if (list.length === 0 || list.some(field => !REQUEST_FIELDS.includes(field))) return null;
+  return list;
+}
+
+// Turn a ?from= or ?to= date into a UTC 'YYYY-MM-DD HH:MM:SS' timestamp.
+// A date without a time means the start of the day for from and the end of the day for to.
+function parseDateBound(value, endOfDay = false) {
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T${endOfDay ? '23:59:59' : '00:00:00'}Z` : text);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  REQUEST_FIELDS,
+  SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  parseFields,
+  parseDateBound,
+};
@@ -0,0 +1,42 @@
+// HMAC signing for requests between the server, the bot and webhook receivers
+const crypto = require('crypto');
+
+// Reject signed requests older than this to prevent replays
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000; // 5 minutes
+
+// Sign a timestamp and raw body with a shared secret
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+// Build the signature headers for a raw body
+function createSignatureHeaders(secret, body) {
+  const timestamp = Date.now().toString();
+  return {
+    'X-Redeem-Timestamp': timestamp,
+    'X-Redeem-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+  };
+}
+
+// Verify a signature produced by createSignatureHeaders
+function verifySignature(secret, timestamp, body, signature) {
+  if (!secret || !timestamp || !signature) return false;
+
+  if (Math.abs(Date.now() - parseInt(timestamp)) > SIGNATURE_TOLERANCE_MS) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+  const actual = Buffer.from(String(signature));
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  signPayload,
+  createSignatureHeaders,
+  verifySignature,
+};
@@ -0,0 +1,63 @@
+// Request lifecycle shared by the API and the Discord bot
+const REQUEST_STATUSES = {
+  PENDING: 'PENDING',
+  ON_HOLD: 'ON_HOLD', // held for review by the fraud checks (see scoring.js)
+  APPROVED: 'APPROVED',
+  IN_PROGRESS: 'IN_PROGRESS',
+  FULFILLED: 'FULFILLED',
+  REJECTED: 'REJECTED',
+  REFUNDED: 'REFUNDED',
+  EXPIRED: 'EXPIRED',
+};
+
+// Allowed moves from each status. Statuses with no moves are final.
+const STATUS_TRANSITIONS = {
+  PENDING: ['APPROVED', 'IN_PROGRESS', 'REJECTED', 'EXPIRED'],
+  ON_HOLD: ['PENDING', 'APPROVED', 'IN_PROGRESS', 'REJECTED', 'EXPIRED'],
+  APPROVED: ['IN_PROGRESS', 'FULFILLED', 'REFUNDED'],
+  IN_PROGRESS: ['FULFILLED', 'REJECTED', 'REFUNDED'],
+  FULFILLED: ['REFUNDED'],
+  REJECTED: [],
+  REFUNDED: [],
+  EXPIRED: [],
+};
+
+function isValidStatus(status) {
+  return Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status);
+}
+
+// Statuses a request can move to next
+function getAllowedTransitions(status) {
+  return STATUS_TRANSITIONS[status] || [];
+}
+
+function isFinalStatus(status) {
+  return getAllowedTransitions(status).length === 0;
+}
+
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+// Check a status change. Returns null when it is allowed, otherwise a message for staff.
+function checkTransition(from, to) {
+  if (!isValidStatus(to)) {
+    return `Invalid status. Must be one of: ${Object.keys(REQUEST_STATUSES).join(', ')}.`;
+  }
+  if (canTransition(from, to)) return null;
+
+  if (isFinalStatus(from)) {
+    return `This request is already ${from} and can no longer be changed.`;
+  }
+  return `Cannot move a request from ${from} to ${to}. Allowed: ${getAllowedTransitions(from).join(', ')}.`;
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  STATUS_TRANSITIONS,
+  isValidStatus,
+  getAllowedTransitions,
+  isFinalStatus,
+  canTransition,
+  checkTransition,
+};
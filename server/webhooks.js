@@ -0,0 +1,171 @@
+// Outgoing webhooks for request lifecycle events
+const crypto = require('crypto');
+const database = require('./database');
+const { postJSON } = require('./http-client');
+const { createSignatureHeaders } = require('./signing');
+const { maskKey } = require('./keys');
+
+// Events that can be sent to webhook receivers
+const WEBHOOK_EVENTS = [
+  'request.created',
+  'request.on_hold',
+  'request.approved',
+  'request.in_progress',
+  'request.fulfilled',
+  'request.rejected',
+  'request.refunded',
+  'request.expired',
+  'key.revoked',
+];
+
+// Retry schedule: 30s, 1m, 2m, 4m... capped at 1 hour between attempts
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long a process may hold a delivery while attempting it
+const DELIVERY_LEASE_MS = 60 * 1000;
+
+// Read webhook settings from the environment
+function getWebhookConfig() {
+  const events = (process.env.WEBHOOK_EVENTS || '')
+    .split(',')
+    .map(event => event.trim())
+    .filter(Boolean);
+
+  return {
+    urls: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    secret: process.env.WEBHOOK_SECRET,
+    events: events.length > 0 ? events : WEBHOOK_EVENTS,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+  };
+}
+
+// Public view of a request for webhook payloads (no raw key or client details)
+function serializeRequest(request) {
+  return {
+    id: request.id,
+    name: request.name,
+    redeemKey: maskKey(request.redeemKey),
+    inviteLink: request.inviteLink,
+    orderId: request.orderId,
+    status: request.status,
+    staffNote: request.staffNote,
+    source: request.source,
+    timestamp: request.timestamp
+  };
+}
+
+// Public view of a key for webhook payloads
+function serializeKey(key) {
+  return {
+    id: key.id,
+    redeemKey: maskKey(key.redeemKey),
+    product: key.product,
+    batch: key.batch,
+    state: key.state
+  };
+}
+
+// Queue an event for every configured webhook and try to deliver it right away.
+// Never throws: webhook problems must not break the action that caused the event.
+async function emitEvent(event, data) {
+  try {
+    const config = getWebhookConfig();
+    if (config.urls.length === 0 || !config.events.includes(event)) return;
+
+    if (!config.secret) {
+      console.error('WEBHOOK_SECRET not configured, skipping webhook delivery');
+      return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    for (const url of config.urls) {
+      const id = await database.createWebhookDelivery({ eventId, event, url, payload });
+      attemptDelivery(await database.getWebhookDelivery(id)).catch(error => {
+        console.error(`Error delivering webhook #${id}:`, error);
+      });
+    }
+  } catch (error) {
+    console.error(`Error emitting ${event} webhook:`, error);
+  }
+}
+
+// Make one delivery attempt and record the outcome
+async function attemptDelivery(delivery) {
+  const config = getWebhookConfig();
+
+  // Another process may already be attempting this delivery
+  const leased = await database.claimWebhookDelivery(delivery.id, delivery.nextAttemptAt, Date.now() + DELIVERY_LEASE_MS);
+  if (!leased) return;
+
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await postJSON(delivery.url, delivery.payload, {
+      ...createSignatureHeaders(config.secret, delivery.payload),
+      'X-Redeem-Event': delivery.event,
+      'X-Redeem-Delivery': String(delivery.id)
+    }, 10000);
+
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `Receiver responded with status ${statusCode}`;
+    }
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    await database.recordWebhookAttempt(delivery.id, { status: 'DELIVERED', statusCode, nextAttemptAt: Date.now() });
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const failed = attempts >= config.maxAttempts;
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+  await database.recordWebhookAttempt(delivery.id, {
+    status: failed ? 'FAILED' : 'PENDING',
+    statusCode,
+    error,
+    nextAttemptAt: Date.now() + delay
+  });
+
+  console.error(`Webhook #${delivery.id} (${delivery.event}) to ${delivery.url} failed: ${error}${failed ? ', giving up' : ''}`);
+}
+
+// Retry deliveries that are due
+async function processDueDeliveries() {
+  try {
+    const deliveries = await database.getDueWebhookDeliveries();
+    for (const delivery of deliveries) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('Error processing webhook deliveries:', error);
+  }
+}
+
+// Periodically retry failed deliveries in long-running processes
+function startWebhookWorker(intervalMs = 15000) {
+  const timer = setInterval(processDueDeliveries, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  serializeRequest,
+  serializeKey,
+  emitEvent,
+  processDueDeliveries,
+  startWebhookWorker,
+};
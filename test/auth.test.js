@@ -0,0 +1,33 @@
+// What API tokens see of a request
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { redactRequest } = require('../server/auth');
+const { REQUEST_FIELDS } = require('../server/search');
+
+const REQUEST = {
+  id: 7,
+  name: 'Test Customer',
+  redeemKey: 'ABCD-EFGH-IJKL',
+  status: 'PENDING',
+  trackingToken: 'x8QeSecretToken'
+};
+
+describe('redactRequest', () => {
+  it('masks the redeem key and leaves out the tracking token', () => {
+    const redacted = redactRequest(REQUEST);
+
+    assert.strictEqual(redacted.redeemKey, 'ABCD••••••••••');
+    assert.ok(!('trackingToken' in redacted));
+    assert.ok(!JSON.stringify(redacted).includes(REQUEST.trackingToken));
+    assert.deepStrictEqual({ ...redacted, redeemKey: REQUEST.redeemKey, trackingToken: REQUEST.trackingToken }, REQUEST);
+  });
+
+  it('only masks the redeem key when it was selected', () => {
+    assert.deepStrictEqual(redactRequest({ id: 7, trackingToken: 'x8QeSecretToken' }), { id: 7 });
+    assert.strictEqual(redactRequest(null), null);
+  });
+
+  it('cannot be selected with ?fields=', () => {
+    assert.ok(!REQUEST_FIELDS.includes('trackingToken'));
+  });
+});
@@ -0,0 +1,91 @@
+// Concurrent submissions: of several submissions racing for one key or one order, exactly one wins
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { BACKENDS, openDatabase, closeDatabase, createKeys, makeSubmission } = require('./helpers');
+const { KEY_STATES, REDEEM_RESULTS } = require('../server/keys');
+
+// Submissions started at the same time in each race
+const RACERS = 10;
+
+function countResults(claims) {
+  return claims.reduce((counts, claim) => ({ ...counts, [claim.result]: (counts[claim.result] || 0) + 1 }), {});
+}
+
+for (const backend of BACKENDS) {
+  describe(`claiming keys (${backend.name})`, { skip: backend.skip }, () => {
+    let database;
+
+    before(async () => {
+      database = await openDatabase(backend);
+    });
+
+    after(closeDatabase);
+
+    it('lets exactly one of several submissions of a key claim it', async () => {
+      await createKeys(['RACE-KEY-0001']);
+
+      const claims = await Promise.all(Array.from({ length: RACERS }, (_, i) =>
+        database.claimKeyAndCreateRequest(makeSubmission({ name: `Racer ${i}`, redeemKey: 'RACE-KEY-0001' }))
+      ));
+
+      assert.deepStrictEqual(countResults(claims), {
+        [REDEEM_RESULTS.CLAIMED]: 1,
+        [REDEEM_RESULTS.ALREADY_USED]: RACERS - 1
+      });
+      assert.strictEqual((await database.getKey('RACE-KEY-0001')).state, KEY_STATES.REDEEMED);
+      assert.ok(await database.isKeyUsed('RACE-KEY-0001'));
+
+      const winner = claims.find(claim => claim.result === REDEEM_RESULTS.CLAIMED);
+      const request = await database.getRequestById(winner.requestId);
+      assert.strictEqual(request.redeemKey, 'RACE-KEY-0001');
+    });
+
+    it('lets exactly one of several submissions for an order claim its key, and keeps the other keys issued', async () => {
+      const keys = Array.from({ length: RACERS }, (_, i) => `ORDER-KEY-${String(i).padStart(4, '0')}`);
+      await createKeys(keys);
+
+      const claims = await Promise.all(keys.map(redeemKey =>
+        database.claimKeyAndCreateRequest(makeSubmission({ redeemKey, orderId: 'ORDER-RACE' }))
+      ));
+
+      assert.deepStrictEqual(countResults(claims), {
+        [REDEEM_RESULTS.CLAIMED]: 1,
+        [REDEEM_RESULTS.ORDER_ALREADY_REDEEMED]: RACERS - 1
+      });
+
+      const requests = await database.getRequestsByOrderId('ORDER-RACE');
+      assert.strictEqual(requests.length, 1);
+
+      for (const redeemKey of keys) {
+        const key = await database.getKey(redeemKey);
+        if (redeemKey === requests[0].redeemKey) {
+          assert.strictEqual(key.state, KEY_STATES.REDEEMED);
+        } else {
+          assert.strictEqual(key.state, KEY_STATES.ISSUED, `${redeemKey} lost the race but is ${key.state}`);
+          assert.strictEqual(await database.isKeyUsed(redeemKey), false);
+        }
+      }
+    });
+
+    it('keeps writes made while another transaction rolls back', async () => {
+      const keys = ['AUDIT-KEY-0001', 'AUDIT-KEY-0002', 'AUDIT-KEY-0003', 'AUDIT-KEY-0004'];
+      await createKeys(keys);
+      const first = await database.claimKeyAndCreateRequest(makeSubmission({ redeemKey: keys[0], orderId: 'ORDER-AUDIT' }));
+
+      // The losing claims roll back while the audit events are written
+      const claims = keys.slice(1).map(redeemKey =>
+        database.claimKeyAndCreateRequest(makeSubmission({ redeemKey, orderId: 'ORDER-AUDIT' }))
+      );
+      const events = Array.from({ length: 20 }, (_, i) =>
+        new Promise(resolve => setTimeout(resolve, i)).then(() => database.createAuditEvent({
+          requestId: first.requestId,
+          action: 'claimed',
+          actor: { type: 'system', id: null, name: `Writer ${i}` }
+        }))
+      );
+      await Promise.all([...claims, ...events]);
+
+      assert.strictEqual((await database.getAuditEvents(first.requestId)).length, 20);
+    });
+  });
+}
@@ -0,0 +1,39 @@
+// CSV writing and reading for exports and the key CLI
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { escapeCSVValue, toCSV, parseCSV } = require('../server/csv');
+
+describe('escapeCSVValue', () => {
+  it('quotes values with commas, quotes and line breaks', () => {
+    assert.strictEqual(escapeCSVValue('plain'), 'plain');
+    assert.strictEqual(escapeCSVValue('a, b'), '"a, b"');
+    assert.strictEqual(escapeCSVValue('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escapeCSVValue(null), '');
+    assert.strictEqual(escapeCSVValue(42), '42');
+  });
+
+  it('keeps values from starting a spreadsheet formula', () => {
+    assert.strictEqual(escapeCSVValue('=HYPERLINK("https://example.com")'), '"\'=HYPERLINK(""https://example.com"")"');
+    assert.strictEqual(escapeCSVValue('+1 555'), "'+1 555");
+    assert.strictEqual(escapeCSVValue('-2+3'), "'-2+3");
+    assert.strictEqual(escapeCSVValue('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(escapeCSVValue('\t=1'), "'\t=1");
+    assert.strictEqual(escapeCSVValue('\r=1'), '"\'\r=1"');
+    assert.strictEqual(escapeCSVValue('a=b'), 'a=b');
+  });
+});
+
+describe('toCSV and parseCSV', () => {
+  it('read back what they write', () => {
+    const rows = [{ name: 'Ann, "A"', note: 'two\nlines' }, { name: 'Bob', note: null }];
+    const text = toCSV(rows, ['name', 'note']);
+
+    assert.strictEqual(text, 'name,note\n"Ann, ""A""","two\nlines"\nBob,\n');
+    assert.deepStrictEqual(parseCSV(text), [{ name: 'Ann, "A"', note: 'two\nlines' }, { name: 'Bob', note: '' }]);
+  });
+
+  it('neutralizes formulas in exported rows', () => {
+    const text = toCSV([{ name: '=1+1' }], ['name']);
+    assert.deepStrictEqual(parseCSV(text), [{ name: "'=1+1" }]);
+  });
+});
@@ -0,0 +1,68 @@
+// Automatic expiry of requests that wait for a decision longer than REQUEST_EXPIRY_HOURS
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { BACKENDS, openDatabase, closeDatabase, createKeys, makeSubmission } = require('./helpers');
+const { expireStaleRequests } = require('../server/expiry');
+
+const HOUR = 60 * 60 * 1000;
+
+// A 'YYYY-MM-DD HH:MM:SS' UTC timestamp the given number of hours ago
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+for (const backend of BACKENDS) {
+  describe(`expiring requests (${backend.name})`, { skip: backend.skip }, () => {
+    let database;
+    let keyCount = 0;
+
+    // Submit a request and move it to a status, then backdate its submission and last status change
+    async function createRequest(status, submittedHoursAgo, movedHoursAgo = null) {
+      const redeemKey = `EXPIRY-KEY-${String(++keyCount).padStart(4, '0')}`;
+      await createKeys([redeemKey]);
+      const { requestId } = await database.claimKeyAndCreateRequest(makeSubmission({ redeemKey }));
+      if (status !== 'PENDING') await database.updateRequestStatus(requestId, status);
+
+      await database.run(
+        'UPDATE redeem_requests SET timestamp = ?, statusUpdatedAt = ? WHERE id = ?',
+        [hoursAgo(submittedHoursAgo), movedHoursAgo === null ? null : hoursAgo(movedHoursAgo), requestId]
+      );
+      return requestId;
+    }
+
+    before(async () => {
+      database = await openDatabase(backend);
+      process.env.REQUEST_EXPIRY_HOURS = '24';
+    });
+
+    after(async () => {
+      delete process.env.REQUEST_EXPIRY_HOURS;
+      await closeDatabase();
+    });
+
+    it('expires pending and held requests that waited too long', async () => {
+      const pending = await createRequest('PENDING', 30);
+      const held = await createRequest('ON_HOLD', 30, 25);
+      const fresh = await createRequest('ON_HOLD', 2, 1);
+      const approved = await createRequest('APPROVED', 30, 25);
+
+      const expired = await expireStaleRequests();
+
+      assert.deepStrictEqual(expired.map(request => request.id).sort((a, b) => a - b), [pending, held]);
+      assert.strictEqual((await database.getRequestById(pending)).status, 'EXPIRED');
+      assert.strictEqual((await database.getRequestById(held)).status, 'EXPIRED');
+      assert.strictEqual((await database.getRequestById(fresh)).status, 'ON_HOLD');
+      assert.strictEqual((await database.getRequestById(approved)).status, 'APPROVED');
+    });
+
+    it('counts from the last status change, not the submission', async () => {
+      // Submitted long ago, but released from hold an hour ago
+      const released = await createRequest('PENDING', 48, 1);
+      const heldAgain = await createRequest('ON_HOLD', 48, 1);
+
+      assert.deepStrictEqual(await expireStaleRequests(), []);
+      assert.strictEqual((await database.getRequestById(released)).status, 'PENDING');
+      assert.strictEqual((await database.getRequestById(heldAgain)).status, 'ON_HOLD');
+    });
+  });
+}
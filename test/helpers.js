@@ -0,0 +1,108 @@
+// Shared setup for the tests, which run with `node --test` from the repository root.
+// Each test file gets a fresh SQLite database in a temporary directory. When TEST_DATABASE_URL
+// is set, the database tests also run on Postgres, each file in a new database on that server
+// that is dropped again afterwards. Without it they are reported as skipped. A local container works:
+//   docker run --rm -p 5432:5432 -e POSTGRES_HOST_AUTH_METHOD=trust postgres:16
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/postgres node --test
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tests never use the keys or database from .env
+process.env.KEY_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+
+const database = require('../server/database');
+const { runMigrations } = require('../server/migrator');
+const SqliteDriver = require('../server/drivers/sqlite');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redeem-test-'));
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let databaseCount = 0;
+
+// Postgres databases created by this test file, dropped by closeDatabase
+const postgresDatabases = [];
+
+// Run a statement on the Postgres server at TEST_DATABASE_URL, outside of the test databases
+async function runOnPostgresServer(sql) {
+  const pg = require('pg');
+  const client = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+}
+
+// Create an empty Postgres database and return its connection string
+async function createPostgresDatabase() {
+  const name = `redeem_test_${process.pid}_${++databaseCount}`;
+  await runOnPostgresServer(`CREATE DATABASE ${name}`);
+  postgresDatabases.push(name);
+
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  return url.toString();
+}
+
+// Storage backends the database tests run against. Test files pass skip to describe,
+// so the Postgres tests show up as skipped rather than missing without a server.
+const BACKENDS = [
+  {
+    name: 'sqlite',
+    skip: false,
+    createDriver: async () => new SqliteDriver(path.join(tempDir, `redeem-${++databaseCount}.db`))
+  },
+  {
+    name: 'postgres',
+    skip: process.env.TEST_DATABASE_URL ? false : 'set TEST_DATABASE_URL to run the Postgres tests',
+    createDriver: async () => {
+      const PostgresDriver = require('../server/drivers/postgres');
+      return new PostgresDriver(await createPostgresDatabase());
+    }
+  },
+];
+
+// Connect the shared database to an empty database of a backend and apply the migrations
+async function openDatabase(backend) {
+  await database.init({ driver: await backend.createDriver(), migrate: false });
+  await runMigrations(database);
+  return database;
+}
+
+// Close the shared database and drop the Postgres databases the tests created
+async function closeDatabase() {
+  database.close();
+
+  while (postgresDatabases.length > 0) {
+    await runOnPostgresServer(`DROP DATABASE IF EXISTS ${postgresDatabases.pop()} WITH (FORCE)`);
+  }
+}
+
+// Add issued keys to the inventory
+async function createKeys(keys, product = 'test') {
+  for (const redeemKey of keys) {
+    await database.createKey({ redeemKey, product });
+  }
+}
+
+// Fields of a web submission, for database.claimKeyAndCreateRequest
+function makeSubmission(fields = {}) {
+  return {
+    name: 'Test Customer',
+    inviteLink: 'https://discord.gg/abc123',
+    email: 'test@example.com',
+    ipAddress: '203.0.113.7',
+    ...fields
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  openDatabase,
+  closeDatabase,
+  createKeys,
+  makeSubmission,
+};
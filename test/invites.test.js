@@ -0,0 +1,125 @@
+// Invite link parsing and verification with the fake and failing resolvers
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseInviteCode, normalizeInviteLink, createFakeResolver, getInviteResolver, setInviteResolver, verifyInvite
+} = require('../server/invites');
+
+const INVITES = {
+  abc123: { guildId: '1', guildName: 'Test Server', memberCount: 42, expiresAt: null },
+  expired: { guildId: '2', guildName: 'Old Server', expiresAt: '2020-01-01T00:00:00Z' },
+  later: { guildId: '3', guildName: 'Event Server', expiresAt: '2999-01-01T12:30:00Z' }
+};
+
+describe('parseInviteCode', () => {
+  it('reads the code from the supported invite URLs', () => {
+    assert.strictEqual(parseInviteCode('https://discord.gg/abc123'), 'abc123');
+    assert.strictEqual(parseInviteCode(' https://www.discord.com/invite/my-server/ '), 'my-server');
+    assert.strictEqual(parseInviteCode('https://discordapp.com/invite/abc123?event=1'), 'abc123');
+    assert.strictEqual(normalizeInviteLink('https://discord.com/invite/abc123'), 'https://discord.gg/abc123');
+  });
+
+  it('rejects other links', () => {
+    assert.strictEqual(parseInviteCode('http://discord.gg/abc123'), null);
+    assert.strictEqual(parseInviteCode('https://discord.gg.evil.com/abc123'), null);
+    assert.strictEqual(parseInviteCode('https://discord.gg/a'), null);
+    assert.strictEqual(parseInviteCode('not a link'), null);
+  });
+});
+
+describe('verifyInvite', () => {
+  afterEach(() => setInviteResolver(undefined));
+
+  it('resolves a valid invite to its server', async () => {
+    setInviteResolver(createFakeResolver(INVITES));
+
+    assert.deepStrictEqual(await verifyInvite('https://discord.com/invite/abc123'), {
+      inviteLink: 'https://discord.gg/abc123',
+      invite: { code: 'abc123', guildId: '1', guildName: 'Test Server', memberCount: 42, expiresAt: null }
+    });
+    assert.strictEqual((await verifyInvite('https://discord.gg/later')).invite.expiresAt, '2999-01-01 12:30:00');
+  });
+
+  it('rejects expired and unknown invites', async () => {
+    setInviteResolver(createFakeResolver(INVITES));
+
+    assert.deepStrictEqual(await verifyInvite('https://discord.gg/expired'), { error: 'This invite link is invalid or has expired.' });
+    assert.deepStrictEqual(await verifyInvite('https://discord.gg/unknown'), { error: 'This invite link is invalid or has expired.' });
+  });
+
+  it('rejects malformed links without asking the resolver', async () => {
+    setInviteResolver({
+      resolve: () => assert.fail('the resolver was asked')
+    });
+
+    const result = await verifyInvite('https://example.com/abc123');
+    assert.match(result.error, /must be a Discord invite link/);
+  });
+
+  it('accepts the invite unverified when the resolver fails', async () => {
+    setInviteResolver({
+      resolve: async () => {
+        throw new Error('Discord API returned 503 for invite abc123');
+      }
+    });
+
+    assert.deepStrictEqual(await verifyInvite('https://discord.gg/abc123'), { inviteLink: 'https://discord.gg/abc123', invite: null });
+  });
+
+  it('only checks the format without a resolver', async () => {
+    setInviteResolver(null);
+
+    assert.deepStrictEqual(await verifyInvite('https://discord.gg/anything'), { inviteLink: 'https://discord.gg/anything', invite: null });
+  });
+});
+
+describe('getInviteResolver', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    setInviteResolver(undefined);
+  });
+
+  it('reads the fake invites from INVITE_FIXTURES_PATH', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redeem-invites-'));
+    const fixtures = path.join(dir, 'invites.json');
+    fs.writeFileSync(fixtures, JSON.stringify(INVITES));
+    process.env.INVITE_RESOLVER = 'fake';
+    process.env.INVITE_FIXTURES_PATH = fixtures;
+
+    try {
+      assert.strictEqual((await getInviteResolver().resolve('abc123')).guildName, 'Test Server');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('throws for an unknown INVITE_RESOLVER', () => {
+    process.env.INVITE_RESOLVER = 'carrier-pigeon';
+    assert.throws(() => getInviteResolver(), /Unknown INVITE_RESOLVER: carrier-pigeon/);
+  });
+
+  it('throws for a missing fixtures file', () => {
+    process.env.INVITE_RESOLVER = 'fake';
+    process.env.INVITE_FIXTURES_PATH = path.join(os.tmpdir(), 'redeem-no-such-invites.json');
+    assert.throws(() => getInviteResolver(), /ENOENT/);
+  });
+
+  it('throws for a fixtures file that is not JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redeem-invites-'));
+    const fixtures = path.join(dir, 'invites.json');
+    fs.writeFileSync(fixtures, '{ abc123: ');
+    process.env.INVITE_RESOLVER = 'fake';
+    process.env.INVITE_FIXTURES_PATH = fixtures;
+
+    try {
+      assert.throws(() => getInviteResolver(), SyntaxError);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
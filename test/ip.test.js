@@ -0,0 +1,111 @@
+// Client IP addresses: normalization, CIDR ranges and X-Forwarded-For behind trusted proxies
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const PLATFORM_VARIABLES = ['TRUSTED_PROXIES', 'DYNO', 'VERCEL'];
+
+// Load server/ip.js with these environment variables; TRUSTED_PROXIES is read when it loads
+function loadIP(env = {}) {
+  const saved = { ...process.env };
+  for (const name of PLATFORM_VARIABLES) delete process.env[name];
+  Object.assign(process.env, env);
+
+  delete require.cache[require.resolve('../server/ip')];
+  try {
+    return require('../server/ip');
+  } finally {
+    process.env = saved;
+  }
+}
+
+// A request from a peer, with an optional X-Forwarded-For header
+function makeRequest(remoteAddress, forwardedFor) {
+  return {
+    socket: { remoteAddress },
+    headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor }
+  };
+}
+
+describe('normalizeIP and normalizeCIDR', () => {
+  const { normalizeIP, normalizeCIDR, parseAddress, parseCIDR, isInRange } = loadIP();
+
+  it('writes addresses in canonical form', () => {
+    assert.strictEqual(normalizeIP(' 203.0.113.7:5678 '), '203.0.113.7');
+    assert.strictEqual(normalizeIP('::ffff:203.0.113.7'), '203.0.113.7');
+    assert.strictEqual(normalizeIP('2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1');
+    assert.strictEqual(normalizeIP('[2001:db8::1]:443'), '2001:db8::1');
+    assert.strictEqual(normalizeIP('fe80::1%eth0'), 'fe80::1');
+    assert.strictEqual(normalizeIP('203.0.113'), null);
+    assert.strictEqual(normalizeIP('not an address'), null);
+  });
+
+  it('clears host bits of ranges and matches addresses against them', () => {
+    assert.strictEqual(normalizeCIDR('10.1.2.3/8'), '10.0.0.0/8');
+    assert.strictEqual(normalizeCIDR('203.0.113.7/32'), '203.0.113.7');
+    assert.strictEqual(normalizeCIDR('::ffff:10.0.0.0/104'), '10.0.0.0/8');
+    assert.strictEqual(normalizeCIDR('10.0.0.0/33'), null);
+
+    assert.ok(isInRange(parseAddress('::ffff:10.200.1.1'), parseCIDR('10.0.0.0/8')));
+    assert.ok(!isInRange(parseAddress('2001:db9::1'), parseCIDR('2001:db8::/32')));
+  });
+});
+
+describe('getClientIP', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('follows X-Forwarded-For only through trusted proxies', () => {
+    const { getClientIP } = loadIP();
+
+    assert.strictEqual(getClientIP(makeRequest('::ffff:127.0.0.1', '198.51.100.1, 203.0.113.7')), '203.0.113.7');
+    assert.strictEqual(getClientIP(makeRequest('127.0.0.1', 'garbage')), '127.0.0.1');
+    assert.strictEqual(getClientIP(makeRequest('::1', '[2001:DB8::7]:99')), '2001:db8::7');
+  });
+
+  it('ignores X-Forwarded-For when no proxy is trusted', () => {
+    const { getClientIP } = loadIP({ TRUSTED_PROXIES: '' });
+
+    assert.strictEqual(getClientIP(makeRequest('127.0.0.1', '203.0.113.7')), '127.0.0.1');
+  });
+
+  it('trusts the private routers on Heroku', () => {
+    const { getClientIP } = loadIP({ DYNO: 'web.1' });
+
+    assert.strictEqual(getClientIP(makeRequest('10.1.2.3', '198.51.100.1, 203.0.113.7')), '203.0.113.7');
+  });
+
+  it('trusts the proxy on Vercel', () => {
+    const { getClientIP } = loadIP({ VERCEL: '1' });
+
+    assert.strictEqual(getClientIP(makeRequest('100.64.0.1', '203.0.113.7')), '203.0.113.7');
+  });
+
+  it('prefers TRUSTED_PROXIES over the platform default', () => {
+    const { getClientIP } = loadIP({ DYNO: 'web.1', TRUSTED_PROXIES: '10.0.0.0/8' });
+
+    assert.strictEqual(getClientIP(makeRequest('10.1.2.3', '203.0.113.7')), '203.0.113.7');
+    assert.strictEqual(getClientIP(makeRequest('172.16.0.1', '203.0.113.7')), '172.16.0.1');
+  });
+
+  it('warns once when X-Forwarded-For comes from a peer that is not trusted', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const { getClientIP } = loadIP();
+
+    assert.strictEqual(getClientIP(makeRequest('192.0.2.1', '203.0.113.7')), '192.0.2.1');
+    assert.strictEqual(getClientIP(makeRequest('192.0.2.2', '203.0.113.8')), '192.0.2.2');
+
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /192\.0\.2\.1, which is not in TRUSTED_PROXIES/);
+  });
+
+  it('does not warn when the server is meant to be reached directly', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    const { getClientIP } = loadIP({ TRUSTED_PROXIES: '' });
+
+    getClientIP(makeRequest('192.0.2.1', '203.0.113.7'));
+    assert.strictEqual(warn.mock.callCount(), 0);
+  });
+
+  it('refuses invalid TRUSTED_PROXIES entries', () => {
+    assert.throws(() => loadIP({ TRUSTED_PROXIES: 'loopback, nonsense' }), /Invalid TRUSTED_PROXIES entry: nonsense/);
+  });
+});
@@ -0,0 +1,34 @@
+// Recording fraud decisions and failed key attempts must not fail a submission
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const database = require('../server/database');
+const { REDEEM_RESULTS } = require('../server/keys');
+const { recordFailedKeyAttempt, recordFraudDecision } = require('../server/scoring');
+
+describe('recording fraud checks', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('logs a fraud decision that cannot be recorded', async () => {
+    const error = mock.method(console, 'error', () => {});
+    mock.method(database, 'createAuditEvent', async () => {
+      throw new Error('database is locked');
+    });
+
+    await recordFraudDecision({ id: 7, status: 'ON_HOLD', fraudScore: 70, fraudReasons: null });
+
+    assert.strictEqual(error.mock.callCount(), 1);
+    assert.match(error.mock.calls[0].arguments[0], /fraud decision for request #7/);
+  });
+
+  it('logs a failed key attempt that cannot be recorded', async () => {
+    const error = mock.method(console, 'error', () => {});
+    mock.method(database, 'createKeyAttempt', async () => {
+      throw new Error('database is locked');
+    });
+
+    await recordFailedKeyAttempt({ redeemKey: 'ABCD-EFGH', ipAddress: '203.0.113.7' }, REDEEM_RESULTS.NOT_FOUND);
+
+    assert.strictEqual(error.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,248 @@
+// Storage conformance: the repository behaves the same on every backend in helpers.BACKENDS
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { BACKENDS, openDatabase, closeDatabase, createKeys, makeSubmission } = require('./helpers');
+const { toPostgresSql } = require('../server/drivers/postgres');
+const { loadMigrations, runMigrations } = require('../server/migrator');
+const { KEY_STATES, REDEEM_RESULTS } = require('../server/keys');
+
+// 'YYYY-MM-DD HH:MM:SS', as CURRENT_TIMESTAMP is stored on SQLite
+const TIMESTAMP_PATTERN = /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/;
+
+const TABLES = [
+  'redeem_requests', 'used_keys', 'keys', 'api_tokens', 'cooldowns', 'audit_events',
+  'webhook_deliveries', 'key_attempts', 'ip_rules', 'schema_migrations'
+];
+
+const ACTOR = { type: 'discord', id: '42', name: 'mod#1' };
+
+describe('toPostgresSql', () => {
+  it('numbers the placeholders', () => {
+    assert.strictEqual(
+      toPostgresSql('SELECT * FROM keys WHERE product = ? AND batch = ? LIMIT ?'),
+      'SELECT * FROM keys WHERE product = $1 AND batch = $2 LIMIT $3'
+    );
+  });
+
+  it('quotes camelCase identifiers and leaves the others alone', () => {
+    assert.strictEqual(
+      toPostgresSql('SELECT id, redeemKeyHash, r.timestamp AS submittedAt FROM redeem_requests r WHERE e.oldStatus = ?'),
+      'SELECT id, "redeemKeyHash", r.timestamp AS "submittedAt" FROM redeem_requests r WHERE e."oldStatus" = $1'
+    );
+  });
+
+  it('leaves SQL keywords, functions and snake_case names unquoted', () => {
+    const sql = 'SELECT COUNT(*) AS count, LOWER(name) FROM schema_migrations WHERE appliedAt IS NOT NULL';
+    assert.strictEqual(toPostgresSql(sql), sql.replace('appliedAt', '"appliedAt"'));
+  });
+});
+
+describe('loadMigrations', () => {
+  it('uses the file for the dialect in place of the shared one', () => {
+    const sqlite = loadMigrations('sqlite');
+    const postgres = loadMigrations('postgres');
+
+    assert.strictEqual(sqlite[0].file, '001_initial.js');
+    assert.strictEqual(postgres[0].file, '001_initial.postgres.js');
+    assert.strictEqual(postgres[0].name, 'initial');
+    assert.deepStrictEqual(postgres.map(migration => migration.version), sqlite.map(migration => migration.version));
+  });
+});
+
+// The same checks on each backend
+function describeStorage(backend) {
+  describe(`storage (${backend.name})`, { skip: backend.skip }, () => {
+    let database;
+
+    before(async () => {
+      database = await openDatabase(backend);
+    });
+
+    after(closeDatabase);
+
+    it('creates every table and records the migrations', async () => {
+      const sql = database.dialect === 'postgres'
+        ? "SELECT table_name AS name FROM information_schema.tables WHERE table_schema = 'public'"
+        : "SELECT name FROM sqlite_master WHERE type = 'table'";
+      const tables = (await database.all(sql)).map(row => row.name);
+      for (const table of TABLES) {
+        assert.ok(tables.includes(table), `${table} is missing`);
+      }
+
+      const applied = await database.all('SELECT version, appliedAt FROM schema_migrations ORDER BY version');
+      assert.deepStrictEqual(applied.map(row => row.version), loadMigrations(database.dialect).map(migration => migration.version));
+      assert.match(applied[0].appliedAt, TIMESTAMP_PATTERN);
+
+      assert.deepStrictEqual(await runMigrations(database), []);
+    });
+
+    it('returns camelCase columns, numeric IDs and counts, and SQLite-style timestamps', async () => {
+      await createKeys(['CONF-KEY-0001']);
+      const key = await database.getKey('CONF-KEY-0001');
+
+      assert.strictEqual(typeof key.id, 'number');
+      assert.strictEqual(key.redeemKey, 'CONF-KEY-0001');
+      assert.strictEqual(key.state, KEY_STATES.ISSUED);
+      assert.match(key.createdAt, TIMESTAMP_PATTERN);
+      assert.strictEqual(key.redeemedAt, null);
+
+      const counts = await database.countRequestsByStatus();
+      assert.strictEqual(counts.PENDING, 0);
+      const recent = await database.countRecentRequests({ ipAddress: '203.0.113.7' }, new Date(0));
+      assert.strictEqual(recent.ipAddress, 0);
+    });
+
+    it('stores millisecond times as numbers', async () => {
+      await database.setUserCooldown('user-1', 1700000000000);
+      await database.setUserCooldown('user-1', 1700000000001);
+      assert.strictEqual(await database.getUserCooldown('user-1'), 1700000000001);
+      assert.strictEqual(await database.cleanupOldCooldowns(1000), 1);
+      assert.strictEqual(await database.getUserCooldown('user-1'), null);
+    });
+
+    it('commits transactions and rolls them back on errors', async () => {
+      await database.withTransaction(() => createKeys(['CONF-KEY-COMMIT']));
+      assert.ok(await database.getKey('CONF-KEY-COMMIT'));
+
+      await assert.rejects(database.withTransaction(async () => {
+        await createKeys(['CONF-KEY-ROLLBACK']);
+        throw new Error('boom');
+      }), /boom/);
+      assert.strictEqual(await database.getKey('CONF-KEY-ROLLBACK'), undefined);
+    });
+
+    it('runs write transactions one at a time', async () => {
+      const tokenId = await database.createApiToken('counter', 'counter-hash', '0');
+
+      // Each transaction reads the counter, waits and writes it back incremented
+      await Promise.all(Array.from({ length: 5 }, () => database.withTransaction(async () => {
+        const { role } = await database.get('SELECT role FROM api_tokens WHERE id = ?', [tokenId]);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await database.run('UPDATE api_tokens SET role = ? WHERE id = ?', [String(Number(role) + 1), tokenId]);
+      })));
+
+      assert.strictEqual((await database.get('SELECT role FROM api_tokens WHERE id = ?', [tokenId])).role, '5');
+    });
+
+    it('recognizes unique violations', async () => {
+      await assert.rejects(createKeys(['CONF-KEY-0001']), error => database.isUniqueViolation(error));
+      await assert.rejects(
+        database.run('INSERT INTO keys (redeemKey, redeemKeyHash) VALUES (?, ?)', ['no-product', 'no-product-hash']),
+        error => !database.isUniqueViolation(error)
+      );
+    });
+
+    it('names the column of a unique violation in the error, as claimKeyAndCreateRequest expects', async () => {
+      await database.createRequest(makeSubmission({ redeemKey: 'CONF-KEY-DUPLICATE', orderId: 'CONF-ORDER' }));
+
+      await assert.rejects(
+        database.createRequest(makeSubmission({ redeemKey: 'CONF-KEY-OTHER', orderId: 'CONF-ORDER' })),
+        error => database.isUniqueViolation(error) && error.message.includes('orderId')
+      );
+      await assert.rejects(
+        database.createRequest(makeSubmission({ redeemKey: 'CONF-KEY-DUPLICATE' })),
+        error => database.isUniqueViolation(error) && error.message.includes('redeemKey')
+      );
+
+      await createKeys(['CONF-KEY-0002']);
+      const claim = await database.claimKeyAndCreateRequest(makeSubmission({ redeemKey: 'CONF-KEY-0002', orderId: 'CONF-ORDER' }));
+      assert.strictEqual(claim.result, REDEEM_RESULTS.ORDER_ALREADY_REDEEMED);
+      assert.strictEqual((await database.getKey('CONF-KEY-0002')).state, KEY_STATES.ISSUED);
+    });
+
+    it('claims, releases and audits requests', async () => {
+      await createKeys(['CONF-KEY-0003']);
+      const claim = await database.claimKeyAndCreateRequest(makeSubmission({ redeemKey: 'CONF-KEY-0003' }));
+      assert.strictEqual(claim.result, REDEEM_RESULTS.CLAIMED);
+      const id = claim.requestId;
+
+      const request = await database.getRequestById(id);
+      assert.strictEqual(request.redeemKey, 'CONF-KEY-0003');
+      assert.match(request.timestamp, TIMESTAMP_PATTERN);
+      assert.strictEqual((await database.getKey('CONF-KEY-0003')).state, KEY_STATES.REDEEMED);
+      assert.strictEqual((await database.getRecentRequestsByIP('203.0.113.7')).length > 0, true);
+
+      assert.strictEqual(await database.claimRequest(id, ACTOR), 1);
+      assert.strictEqual(await database.claimRequest(id, { type: 'discord', id: '7', name: 'other#2' }), 0);
+      assert.strictEqual((await database.getAllRequests({ assignedTo: 'discord:42' })).length, 1);
+
+      assert.strictEqual(await database.updateRequestStatus(id, 'REJECTED', 'Not valid', ACTOR), 1);
+      assert.strictEqual(await database.releaseRequestKey(id, ACTOR), 1);
+      assert.strictEqual((await database.getKey('CONF-KEY-0003')).state, KEY_STATES.ISSUED);
+      assert.strictEqual(await database.isKeyUsed('CONF-KEY-0003'), false);
+
+      const events = await database.getAuditEvents(id);
+      assert.deepStrictEqual(events.map(event => event.action), ['claimed', 'status_changed', 'key_released']);
+      assert.strictEqual(events[1].oldStatus, 'PENDING');
+      assert.strictEqual(events[1].newStatus, 'REJECTED');
+      assert.strictEqual(events[0].actorId, '42');
+    });
+
+    it('searches requests with filters and cursors', async () => {
+      for (const name of ['Alice', 'alice smith', 'Bob']) {
+        await database.createRequest(makeSubmission({ name, redeemKey: `SEARCH-${name}`, ipAddress: '198.51.100.1' }));
+      }
+
+      const alices = await database.getAllRequests({ name: 'ALICE', ipAddress: '198.51.100.1' });
+      assert.strictEqual(alices.length, 2);
+
+      const first = await database.searchRequests({ filters: { ipAddress: '198.51.100.1' }, sort: 'id', order: 'asc', limit: 2 });
+      assert.strictEqual(first.hasMore, true);
+      const last = first.requests[first.requests.length - 1];
+      const second = await database.searchRequests({
+        filters: { ipAddress: '198.51.100.1' }, sort: 'id', order: 'asc', limit: 2, after: { id: last.id }
+      });
+      assert.deepStrictEqual(second.requests.map(request => request.name), ['Bob']);
+      assert.strictEqual(second.hasMore, false);
+
+      const perDay = await database.countRequestsPerDay({ ipAddress: '198.51.100.1' });
+      assert.strictEqual(perDay.length, 1);
+      assert.strictEqual(perDay[0].count, 3);
+    });
+
+    it('counts failed key attempts', async () => {
+      const since = new Date(Date.now() - 60 * 1000);
+      await database.createKeyAttempt({ ipAddress: '192.0.2.1', result: REDEEM_RESULTS.NOT_FOUND, keyPrefixHash: 'prefix' });
+      await database.createKeyAttempt({ discordUserId: 'user-2', result: REDEEM_RESULTS.ALREADY_USED });
+
+      assert.strictEqual(await database.countFailedKeyAttempts({ ipAddress: '192.0.2.1', discordUserId: 'user-2' }, since), 2);
+      assert.strictEqual(await database.countFailedKeyAttempts({ ipAddress: '192.0.2.1', keyPrefixHash: 'prefix' }, since), 1);
+    });
+
+    it('stores IP rules, one per range', async () => {
+      const id = await database.createIPRule({ cidr: '192.0.2.0/24', type: 'block', reason: 'Testing', actor: ACTOR });
+      await assert.rejects(
+        database.createIPRule({ cidr: '192.0.2.0/24', type: 'allow', actor: ACTOR }),
+        error => database.isUniqueViolation(error)
+      );
+
+      assert.strictEqual((await database.getIPRuleByCidr('192.0.2.0/24')).id, id);
+      assert.strictEqual((await database.getIPRules('block')).length, 1);
+      assert.strictEqual(await database.deleteIPRule(id), 1);
+      assert.strictEqual(await database.getIPRuleById(id), undefined);
+    });
+
+    it('queues, leases and retries webhook deliveries', async () => {
+      const id = await database.createWebhookDelivery({ eventId: 'event-1', event: 'request.created', url: 'https://example.com', payload: '{}' });
+      const [due] = await database.getDueWebhookDeliveries();
+      assert.strictEqual(due.id, id);
+      assert.strictEqual(typeof due.nextAttemptAt, 'number');
+
+      assert.strictEqual(await database.claimWebhookDelivery(id, due.nextAttemptAt, Date.now() + 1000), true);
+      assert.strictEqual(await database.claimWebhookDelivery(id, due.nextAttemptAt, Date.now() + 1000), false);
+
+      await database.recordWebhookAttempt(id, { status: 'FAILED', statusCode: 500, error: 'boom', nextAttemptAt: 0 });
+      assert.strictEqual((await database.getWebhookDeliveries('FAILED')).length, 1);
+      assert.strictEqual(await database.retryWebhookDelivery(id), 1);
+
+      await database.recordWebhookAttempt(id, { status: 'DELIVERED', statusCode: 200, nextAttemptAt: 0 });
+      const delivery = await database.getWebhookDelivery(id);
+      assert.match(delivery.deliveredAt, TIMESTAMP_PATTERN);
+      assert.strictEqual(delivery.attempts, 1);
+    });
+  });
+}
+
+for (const backend of BACKENDS) {
+  describeStorage(backend);
+}